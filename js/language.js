@@ -3,15 +3,30 @@
  *
  * Refined internationalization for SnapBoost
  * - Translates every visible text in the provided HTML into the correct language
- * - Preserves emojis in the DOM by wrapping them in <span class="emoji">…</span>
- * - Translation strings DO NOT contain emojis (emojis remain purely presentational in HTML)
+ * - Preserves emojis in the DOM by wrapping each emoji grapheme in <span class="emoji">…</span>
+ * - Translation strings DO NOT contain emojis (emojis remain purely presentational in HTML,
+ *   unless an emoji opts in to a localized label — see labelEmojiSpans)
  * - Urdu, Hindi and Indonesian removed per request
  *
  * Usage: save as js/language.js and include:
  *   <script defer src="js/language.js"></script>
  *
+ * Pseudo-localization: open the page with ?lang=pseudo to render an accented, ~35% longer,
+ * bracketed English and outline every text node no translation key reached.
+ *
+ * Locale bundles: English is bundled below; every other locale is a JSON file in
+ * locales/<code>.json fetched on demand by SnapBoostI18n.translate(lang), which returns a
+ * Promise<boolean>. fetch() does not work over file://, so test with a static server:
+ *   node scripts/serve.js
+ *
  * Notes:
- *  - All translation keys below map to every visible text in the original HTML.
+ *  - Elements are bound to translation keys with data-i18n="key" attributes in the HTML;
+ *    array keys (e.g. "service1.features") are spread over the element's children.
+ *  - Attributes use data-i18n-<attr>="key" for alt, aria-label, title, placeholder and content.
+ *  - Keyed elements inserted later (by main.js or widgets) are translated automatically.
+ *  - Other scripts read the language with SnapBoostI18n.getLanguage() and strings with
+ *    SnapBoostI18n.t(key, vars), and react to document "languagechange" events.
+ *  - Translators: add ?i18n-edit to the URL to edit strings in place and export the changes.
  *  - If you later want emoji placeholders inside translated strings (like "Hello {emoji} world"),
  *    I can add placeholder injection. Current strategy: keep emojis where they are in the DOM
  *    and translate only textual content.
@@ -21,18 +36,16 @@
   if (typeof window === 'undefined') return;
 
   // ---------- Helpers ----------
-  function primaryLang() {
-    const nav = navigator.languages && navigator.languages.length ? navigator.languages[0] : (navigator.language || navigator.userLanguage || 'en');
-    return String(nav).toLowerCase().split('-')[0];
+  // Every language the browser reports, most preferred first
+  function browserLangs() {
+    if (navigator.languages && navigator.languages.length) return Array.from(navigator.languages);
+    return [navigator.language || navigator.userLanguage].filter(Boolean);
   }
 
-  // Unicode Extended_Pictographic to detect emoji/pictographs
-  const EMOJI_RE = /\p{Extended_Pictographic}/u;
-
-  // Remove emoji characters from strings — translations must not inject emoji
-  function stripEmojis(s) {
-    if (s == null) return s;
-    return String(s).replace(/[\p{Extended_Pictographic}]/gu, '').trim();
+  // Own keys only: locale codes, message keys and select values such as "constructor" or
+  // "toString" must not match Object.prototype members
+  function hasOwn(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
   }
 
   // Minimal HTML escape
@@ -40,7 +53,47 @@
     return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
-  // Wrap emoji characters in text nodes into <span class="emoji">..</span>
+  // ---------- Emoji ----------
+  // Emoji are detected per grapheme cluster, so ZWJ sequences, skin tones, flags, keycaps
+  // and VS16 variants (❤️) stay one unit. Text-presentation pictographs such as © ® ™ are
+  // ordinary text, not emoji.
+  const EMOJI_CLASS = 'emoji';
+  const EMOJI_RE = /\p{Emoji_Presentation}|\uFE0F|\u20E3/u;
+
+  const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+  // Without Intl.Segmenter: whole emoji sequences, otherwise one code point at a time
+  const GRAPHEME_FALLBACK_RE = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]?(?:\u200D\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]?)*|[\s\S]/gu;
+
+  function graphemes(text) {
+    if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(text), s => ({ index: s.index, segment: s.segment }));
+    return Array.from(text.matchAll(GRAPHEME_FALLBACK_RE), m => ({ index: m.index, segment: m[0] }));
+  }
+
+  // Emoji graphemes in a string as [{ index, segment }]
+  function findEmojis(text) {
+    if (!text || !EMOJI_RE.test(text)) return [];
+    return graphemes(text).filter(g => EMOJI_RE.test(g.segment));
+  }
+
+  // Remove emoji from strings — translations must not inject emoji
+  function stripEmojis(s) {
+    if (s == null) return s;
+    const text = String(s);
+    const emojis = findEmojis(text);
+    if (!emojis.length) return text.trim();
+    let out = '';
+    let lastIndex = 0;
+    emojis.forEach(g => {
+      out += text.slice(lastIndex, g.index);
+      lastIndex = g.index + g.segment.length;
+    });
+    return (out + text.slice(lastIndex)).trim();
+  }
+
+  // Wrap emoji in text nodes into <span class="emoji">..</span>, one span per grapheme.
+  // Text already inside an .emoji span is left alone, so repeated calls are no-ops.
   function wrapEmojiSpans(root) {
     if (!root) return;
     const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
@@ -48,29 +101,45 @@
     while (walker.nextNode()) nodes.push(walker.currentNode);
 
     nodes.forEach(node => {
+      if (!node.parentElement || node.parentElement.closest(`.${EMOJI_CLASS}`)) return; // already wrapped
+      if (node.parentElement.closest('script, style, noscript, template, textarea')) return;
       const txt = node.nodeValue;
-      if (!txt || !EMOJI_RE.test(txt)) return;
+      const emojis = findEmojis(txt);
+      if (emojis.length === 0) return;
 
       const frag = document.createDocumentFragment();
       let lastIndex = 0;
-      const matches = [...txt.matchAll(/(\p{Extended_Pictographic})/gu)];
-      if (matches.length === 0) return;
-
-      matches.forEach(m => {
-        const idx = m.index;
-        const emojiChar = m[1];
-        if (idx > lastIndex) frag.appendChild(document.createTextNode(txt.slice(lastIndex, idx)));
+      emojis.forEach(({ index, segment }) => {
+        if (index > lastIndex) frag.appendChild(document.createTextNode(txt.slice(lastIndex, index)));
         const span = document.createElement('span');
-        span.className = 'emoji';
-        span.setAttribute('aria-hidden', 'true');
-        span.textContent = emojiChar;
+        span.className = EMOJI_CLASS;
+        span.textContent = segment;
         frag.appendChild(span);
-        lastIndex = idx + emojiChar.length;
+        lastIndex = index + segment.length;
       });
 
       if (lastIndex < txt.length) frag.appendChild(document.createTextNode(txt.slice(lastIndex)));
       if (node.parentNode) node.parentNode.replaceChild(frag, node);
     });
+
+    labelEmojiSpans(root);
+  }
+
+  // Emoji are decorative and hidden from screen readers, unless they opt in to a localized
+  // name by being authored pre-wrapped with a label key:
+  //   <span class="emoji" data-i18n-aria-label="emoji.gift">🎁</span>
+  // Those are exposed as role="img" and their aria-label is translated like any attribute.
+  function labelEmojiSpans(root) {
+    const spans = Array.from(root.querySelectorAll(`.${EMOJI_CLASS}`));
+    if (root.nodeType === 1 && root.classList.contains(EMOJI_CLASS)) spans.unshift(root);
+    spans.forEach(span => {
+      if (span.hasAttribute('aria-label') || span.hasAttribute('data-i18n-aria-label')) {
+        span.setAttribute('role', 'img');
+        span.removeAttribute('aria-hidden');
+      } else {
+        span.setAttribute('aria-hidden', 'true');
+      }
+    });
   }
 
   // Replace textual content inside element while preserving .emoji spans and other child elements
@@ -84,12 +153,12 @@
     while (walker.nextNode()) {
       const tn = walker.currentNode;
       const parent = tn.parentElement;
-      if (parent && parent.classList && parent.classList.contains('emoji')) continue; // keep emoji text nodes
+      if (parent && parent.closest(`.${EMOJI_CLASS}`)) continue; // keep emoji text nodes
       toRemove.push(tn);
     }
     toRemove.forEach(n => n.parentNode && n.parentNode.removeChild(n));
 
-    const firstEmoji = el.querySelector('.emoji');
+    const firstEmoji = el.querySelector(`.${EMOJI_CLASS}`);
     const txtNode = document.createTextNode(text);
     if (firstEmoji && firstEmoji.parentNode) firstEmoji.parentNode.insertBefore(txtNode, firstEmoji);
     else if (el.firstChild) el.insertBefore(txtNode, el.firstChild);
@@ -99,16 +168,45 @@
   function safeSet(el, text) { if (el) setTranslatedTextPreserveEmojis(el, text); }
 
   // ---------- Translation dictionary (complete coverage of HTML) ----------
-  // Every key below corresponds to a piece of visible text in the original HTML.
+  // Every key below is referenced by a data-i18n attribute (in index.html or rendered by this script).
   // Do not include emojis inside these strings.
+  // Only English is bundled; other locales live in locales/<code>.json and are added
+  // to this object by loadLocale() the first time they are requested.
   const TRANSLATIONS = {
-    // English (explicit — used when lang is 'en')
+    // English (bundled — synchronous fallback for every locale and missing key)
     'en': {
+      'meta.title': 'Free SnapScores | SnapBoost — Boost Your SnapScore & Get Free Snapchat Followers',
+      'meta.description': 'Free SnapScores that actually move your number. Safe, gradual SnapScore boosts with helpful support — plus free Snapchat followers options.',
+      'meta.keywords': 'free snapscores, free snapchat followers, boost snapscore, snapscore boost, get snapchat followers, free snapscore 2025',
+      'og.title': 'Free SnapScores | SnapBoost — Boost Your SnapScore & Get Free Snapchat Followers',
+      'og.description': 'Free SnapScores with safe, gradual delivery. Boost your SnapScore fast — plus options for free Snapchat followers.',
+      'og.imageAlt': 'SnapBoost — Free SnapScores & Snapchat Growth',
+      'twitter.title': 'Free SnapScores — Boost Your SnapScore & Get Free Snapchat Followers',
+      'twitter.description': 'Get Free SnapScores with safe, gradual boosts. Real support, clear timelines, and growth options.',
+      'twitter.imageAlt': 'SnapBoost — Free SnapScores preview image',
+      'ld.website.description': 'Free SnapScores and Snapchat follower growth with safe, gradual delivery.',
+      'ld.webpage.name': 'Free SnapScores | SnapBoost',
+      'ld.webpage.description': 'Free SnapScores that actually move your number. Safe, gradual SnapScore boosts with support.',
+      'ld.service.name': 'SnapScore & Follower Boost',
+      'ld.service.description': 'SnapBoost helps increase SnapScore with gradual delivery and offers options to grow Snapchat followers.',
+      'faq.questions': [
+        'Are free SnapScores real?',
+        'Is boosting SnapScore safe?',
+        'How long does a SnapScore boost take?'
+      ],
+      'faq.answers': [
+        "SnapBoost focuses on gradual SnapScore increases using engagement-forward techniques. Results vary by package and activity. Always follow Snapchat's policies.",
+        'We prioritize account safety and gradual delivery. Avoid sharing credentials and stay aligned with Snapchat’s terms.',
+        'Timeframes depend on size — from a few hours to several days for larger boosts.'
+      ],
       'nav.home': 'Home',
       'nav.about': 'About',
       'nav.services': 'Services',
       'nav.achievements': 'Achievements',
       'nav.extras': 'Extras',
+      'nav.language': 'Language',
+      'nav.logo': 'SnapBoost logo',
+      'nav.menu': 'Menu',
       'hero.title': 'Boost Your SnapScore & Followers Instantly',
       'hero.subtitle': 'Professional Snapchat growth services with guaranteed results and premium quality',
       'btn.explore': 'Explore Services',
@@ -116,7 +214,8 @@
       'about.title': 'Why Choose SnapBoost?',
       'about.p1': "Our expert team specializes in Snapchat growth strategies, AR lens development, and premium account services. With over 5 years of experience in social media marketing, we've helped thousands of clients achieve their Snapchat goals.",
       'about.p2': 'From organic follower growth to custom AR filters, we provide comprehensive solutions that deliver real, measurable results for your Snapchat presence.',
-      'stat.clients': 'Happy Clients',
+      'about.image': 'The SnapBoost team',
+      'stat.clients': '{count, plural, one {Happy Client} other {Happy Clients}}',
       'stat.success': 'Success Rate',
       'services.title': 'Our Premium Services',
       'service1.title': 'Followers & SnapScore Boost',
@@ -129,9 +228,9 @@
       'service3.desc': 'Verified premium Snapchat accounts with established followers and engagement. Perfect for businesses and influencers.',
       'service3.features': ['Verified Accounts', 'Instant Transfer', '24/7 Support', 'Money Back Guarantee'],
       'achievements.title': 'Our Achievements',
-      'achievement.ar': 'AR Lenses Built',
-      'achievement.accounts': 'Accounts Delivered',
-      'achievement.refill': 'Refill Guarantee %',
+      'achievement.ar': '{count, plural, one {AR Lens Built} other {AR Lenses Built}}',
+      'achievement.accounts': '{count, plural, one {Account Delivered} other {Accounts Delivered}}',
+      'achievement.refill': 'Refill Guarantee',
       'features.title': 'What We Offer',
       'feature1.title': 'All-Range Follower & SnapScores',
       'feature1.list': [
@@ -156,492 +255,45 @@
       'extras.snapTips': 'Snapchat Tips',
       'extras.growth': 'Growth Strategies',
       'extras.arCourse': 'AR Tutorials',
-      'footer.copyright': '© {year} SnapBoost. All rights reserved.'
-    },
-
-    // Spanish
-    'es': {
-      'nav.home': 'Inicio',
-      'nav.about': 'Acerca',
-      'nav.services': 'Servicios',
-      'nav.achievements': 'Logros',
-      'nav.extras': 'Extras',
-      'hero.title': 'Aumenta tu SnapScore y tus seguidores al instante',
-      'hero.subtitle': 'Servicios profesionales de crecimiento en Snapchat con resultados garantizados y calidad premium',
-      'btn.explore': 'Explorar servicios',
-      'btn.learn': 'Saber más',
-      'about.title': '¿Por qué elegir SnapBoost?',
-      'about.p1': 'Nuestro equipo experto se especializa en estrategias de crecimiento en Snapchat, desarrollo de lentes AR y servicios de cuentas premium. Con más de 5 años de experiencia en marketing en redes sociales, hemos ayudado a miles de clientes a alcanzar sus metas en Snapchat.',
-      'about.p2': 'Desde crecimiento orgánico de seguidores hasta filtros AR personalizados, ofrecemos soluciones integrales que generan resultados reales y medibles para tu presencia en Snapchat.',
-      'stat.clients': 'Clientes satisfechos',
-      'stat.success': 'Tasa de éxito',
-      'services.title': 'Nuestros servicios premium',
-      'service1.title': 'Aumento de seguidores y SnapScore',
-      'service1.desc': 'Paquetes de crecimiento orgánico con seguidores reales y activos. Aumenta tu SnapScore de forma natural con nuestras estrategias probadas y técnicas de engagement.',
-      'service1.features': ['Seguidores reales', 'SnapScores reales', 'Seguro y protegido'],
-      'service2.title': 'Creación de lentes AR',
-      'service2.desc': 'Filtros y lentes AR personalizados para involucrar a tu audiencia, desde superposiciones simples hasta experiencias interactivas complejas.',
-      'service2.features': ['Diseño personalizado', 'Alta calidad', 'Entrega rápida'],
-      'service3.title': 'Venta de cuentas premium',
-      'service3.desc': 'Cuentas premium verificadas con seguidores establecidos y engagement. Ideal para empresas e influencers.',
-      'service3.features': ['Cuentas verificadas', 'Transferencia inmediata', 'Soporte 24/7', 'Garantía de devolución de dinero'],
-      'achievements.title': 'Nuestros logros',
-      'achievement.ar': 'Lentes AR creados',
-      'achievement.accounts': 'Cuentas entregadas',
-      'achievement.refill': 'Garantía de recarga %',
-      'features.title': 'Lo que ofrecemos',
-      'feature1.title': 'Seguidores y SnapScores (todas las gamas)',
-      'feature1.list': [
-        'Incrementos de SnapScore hasta 10M',
-        'Cuentas premade de SnapScore en todas las gamas',
-        'Cuentas Creator premade disponibles',
-        'Cuentas populares disponibles',
-        'Paquetes personalizados',
-        'Entrega gradual por seguridad'
-      ],
-      'feature2.title': 'AR y lentes personalizadas',
-      'feature2.list': [
-        'Filtros faciales y efectos',
-        'Lentes y objetos del mundo',
-        'Experiencias AR interactivas',
-        'Filtros para marca',
-        'Lentes para eventos y campañas',
-        'Experiencia con Lens Studio'
-      ],
-      'extras.title': 'Recursos de aprendizaje',
-      'extras.learnLens': 'Aprende Lens Studio',
-      'extras.snapTips': 'Consejos para Snapchat',
-      'extras.growth': 'Estrategias de crecimiento',
-      'extras.arCourse': 'Tutoriales de AR',
-      'footer.copyright': '© {year} SnapBoost. Todos los derechos reservados.'
-    },
-
-    // French
-    'fr': {
-      'nav.home': 'Accueil',
-      'nav.about': 'À propos',
-      'nav.services': 'Services',
-      'nav.achievements': 'Réalisations',
-      'nav.extras': 'Extras',
-      'hero.title': 'Boostez votre SnapScore et vos abonnés instantanément',
-      'hero.subtitle': 'Services professionnels de croissance Snapchat avec résultats garantis et qualité premium',
-      'btn.explore': 'Explorer les services',
-      'btn.learn': 'En savoir plus',
-      'about.title': 'Pourquoi choisir SnapBoost ?',
-      'about.p1': "Notre équipe d'experts est spécialisée dans les stratégies de croissance sur Snapchat, le développement de lentilles AR et les services de comptes premium. Avec plus de 5 ans d'expérience en marketing des réseaux sociaux, nous avons aidé des milliers de clients à atteindre leurs objectifs Snapchat.",
-      'about.p2': "De la croissance organique des abonnés aux filtres AR personnalisés, nous fournissons des solutions complètes qui produisent des résultats réels et mesurables pour votre présence sur Snapchat.",
-      'stat.clients': 'Clients satisfaits',
-      'stat.success': 'Taux de réussite',
-      'services.title': 'Nos services premium',
-      'service1.title': 'Boost followers & SnapScore',
-      'service1.desc': 'Forfaits de croissance organique avec de vrais abonnés et engagement actif. Augmentez votre SnapScore naturellement grâce à nos stratégies éprouvées.',
-      'service1.features': ['Abonnés réels', 'SnapScores réels', 'Sûr et sécurisé'],
-      'service2.title': 'Création de Lenses AR',
-      'service2.desc': 'Filtres et lenses AR personnalisés pour engager votre audience, des superpositions simples aux expériences interactives avancées.',
-      'service2.features': ['Design personnalisé', 'Haute qualité', 'Livraison rapide'],
-      'service3.title': 'Vente de comptes premium',
-      'service3.desc': 'Comptes premium vérifiés avec abonnés établis et engagement. Parfait pour les entreprises et influenceurs.',
-      'service3.features': ['Comptes vérifiés', 'Transfert instantané', 'Support 24/7', 'Garantie de remboursement'],
-      'achievements.title': 'Nos réalisations',
-      'achievement.ar': 'Lenses AR créés',
-      'achievement.accounts': 'Comptes livrés',
-      'achievement.refill': 'Garantie de recharge %',
-      'features.title': 'Ce que nous offrons',
-      'feature1.title': 'Abonnés & SnapScores (toutes gammes)',
-      'feature1.list': [
-        'Boosts SnapScore jusqu’à 10M',
-        'Comptes SnapScore premade toutes gammes',
-        'Comptes Creator premade disponibles',
-        'Comptes tendance disponibles',
-        'Forfaits personnalisés',
-        'Livraison progressive pour la sécurité'
-      ],
-      'feature2.title': 'AR & Lenses personnalisés',
-      'feature2.list': [
-        'Filtres visage et effets',
-        'World lenses et objets',
-        'Expériences AR interactives',
-        'Filtres pour marque',
-        'Lenses pour événements et campagnes',
-        'Expertise Lens Studio'
-      ],
-      'extras.title': 'Ressources d’apprentissage',
-      'extras.learnLens': 'Apprendre Lens Studio',
-      'extras.snapTips': 'Conseils Snapchat',
-      'extras.growth': 'Stratégies de croissance',
-      'extras.arCourse': 'Tutoriels AR',
-      'footer.copyright': '© {year} SnapBoost. Tous droits réservés.'
-    },
-
-    // German
-    'de': {
-      'nav.home': 'Start',
-      'nav.about': 'Über',
-      'nav.services': 'Leistungen',
-      'nav.achievements': 'Erfolge',
-      'nav.extras': 'Extras',
-      'hero.title': 'Steigere deinen SnapScore und deine Follower sofort',
-      'hero.subtitle': 'Professionelle Snapchat-Wachstumsservices mit garantierten Ergebnissen und Premium-Qualität',
-      'btn.explore': 'Services entdecken',
-      'btn.learn': 'Mehr erfahren',
-      'about.title': 'Warum SnapBoost?',
-      'about.p1': 'Unser Expertenteam spezialisiert sich auf Snapchat-Wachstumsstrategien, AR-Lens-Entwicklung und Premium-Account-Services. Mit über 5 Jahren Erfahrung im Social-Media-Marketing haben wir Tausenden von Kunden geholfen, ihre Snapchat-Ziele zu erreichen.',
-      'about.p2': 'Von organischem Follower-Wachstum bis hin zu maßgeschneiderten AR-Filtern bieten wir umfassende Lösungen, die echte, messbare Ergebnisse liefern.',
-      'stat.clients': 'Zufriedene Kunden',
-      'stat.success': 'Erfolgsquote',
-      'services.title': 'Unsere Premium-Services',
-      'service1.title': 'Follower & SnapScore Boost',
-      'service1.desc': 'Organische Wachstumspakete mit echten, aktiven Followern. Steigere deinen SnapScore natürlich mit unseren erprobten Strategien und Engagement-Techniken.',
-      'service1.features': ['Echte Follower', 'Echte SnapScores', 'Sicher & geschützt'],
-      'service2.title': 'AR-Lens Erstellung',
-      'service2.desc': 'Individuelle AR-Filter und Lenses, die dein Publikum ansprechen – von einfachen Overlays bis zu komplexen interaktiven Erfahrungen.',
-      'service2.features': ['Maßgeschneidertes Design', 'Hohe Qualität', 'Schnelle Lieferung'],
-      'service3.title': 'Verkauf von Premium-Accounts',
-      'service3.desc': 'Verifizierte Premium-Snapchat-Accounts mit etablierten Followern und Engagement. Perfekt für Unternehmen und Influencer.',
-      'service3.features': ['Verifizierte Accounts', 'Sofortige Übertragung', '24/7 Support', 'Geld-zurück-Garantie'],
-      'achievements.title': 'Unsere Erfolge',
-      'achievement.ar': 'Erstellte AR-Lenses',
-      'achievement.accounts': 'Gelieferte Accounts',
-      'achievement.refill': 'Auflade-Garantie %',
-      'features.title': 'Was wir anbieten',
-      'feature1.title': 'Follower & SnapScores (alle Bereiche)',
-      'feature1.list': [
-        'SnapScore-Boosts bis zu 10M',
-        'Premade SnapScore-Accounts für alle Bereiche',
-        'Premade Creator-Accounts verfügbar',
-        'Trendende Accounts verfügbar',
-        'Individuelle Pakete verfügbar',
-        'Schrittweise Lieferung für Sicherheit'
-      ],
-      'feature2.title': 'Benutzerdefinierte AR & Lenses',
-      'feature2.list': [
-        'Gesichtsfilter und Effekte',
-        'World Lenses und Objekte',
-        'Interaktive AR-Erlebnisse',
-        'Markenspezifische Filter',
-        'Lenses für Events und Kampagnen',
-        'Lens Studio Expertise'
-      ],
-      'extras.title': 'Lernressourcen',
-      'extras.learnLens': 'Lens Studio lernen',
-      'extras.snapTips': 'Snapchat Tipps',
-      'extras.growth': 'Wachstumsstrategien',
-      'extras.arCourse': 'AR Tutorials',
-      'footer.copyright': '© {year} SnapBoost. Alle Rechte vorbehalten.'
-    },
-
-    // Portuguese
-    'pt': {
-      'nav.home': 'Início',
-      'nav.about': 'Sobre',
-      'nav.services': 'Serviços',
-      'nav.achievements': 'Conquistas',
-      'nav.extras': 'Extras',
-      'hero.title': 'Aumente seu SnapScore e seus seguidores agora',
-      'hero.subtitle': 'Serviços profissionais de crescimento no Snapchat com resultados garantidos e qualidade premium',
-      'btn.explore': 'Explorar serviços',
-      'btn.learn': 'Saiba mais',
-      'about.title': 'Por que escolher o SnapBoost?',
-      'about.p1': 'Nossa equipe especialista é focada em estratégias de crescimento no Snapchat, desenvolvimento de lentes AR e serviços de contas premium. Com mais de 5 anos em marketing digital, ajudamos milhares de clientes a alcançar seus objetivos no Snapchat.',
-      'about.p2': 'Do crescimento orgânico de seguidores a filtros AR customizados, oferecemos soluções completas que trazem resultados reais e mensuráveis para sua presença no Snapchat.',
-      'stat.clients': 'Clientes satisfeitos',
-      'stat.success': 'Taxa de sucesso',
-      'services.title': 'Nossos serviços premium',
-      'service1.title': 'Impulsionamento de seguidores e SnapScore',
-      'service1.desc': 'Pacotes de crescimento orgânico com seguidores reais e ativos. Aumente seu SnapScore naturalmente com nossas estratégias comprovadas.',
-      'service1.features': ['Seguidores reais', 'SnapScores reais', 'Seguro e protegido'],
-      'service2.title': 'Criação de lentes AR',
-      'service2.desc': 'Filtros e lentes AR personalizados para envolver seu público, desde overlays simples até experiências interativas complexas.',
-      'service2.features': ['Design personalizado', 'Alta qualidade', 'Entrega rápida'],
-      'service3.title': 'Venda de contas premium',
-      'service3.desc': 'Contas premium verificadas com seguidores estabelecidos e engajamento. Perfeito para empresas e influenciadores.',
-      'service3.features': ['Contas verificadas', 'Transferência imediata', 'Suporte 24/7', 'Garantia de reembolso'],
-      'achievements.title': 'Nossas conquistas',
-      'achievement.ar': 'Lentes AR criadas',
-      'achievement.accounts': 'Contas entregues',
-      'achievement.refill': 'Garantia de recarga %',
-      'features.title': 'O que oferecemos',
-      'feature1.title': 'Seguidores & SnapScores (todas faixas)',
-      'feature1.list': [
-        'Boosts de SnapScore até 10M',
-        'Contas premade de SnapScore para todas as faixas',
-        'Contas Creator premade disponíveis',
-        'Contas em tendência disponíveis',
-        'Pacotes personalizados disponíveis',
-        'Entrega gradual por segurança'
-      ],
-      'feature2.title': 'AR & Lentes personalizadas',
-      'feature2.list': [
-        'Filtros faciais e efeitos',
-        'World lenses e objetos',
-        'Experiências AR interativas',
-        'Filtros específicos para marcas',
-        'Lentes para eventos e campanhas',
-        'Especialistas em Lens Studio'
-      ],
-      'extras.title': 'Recursos de aprendizagem',
-      'extras.learnLens': 'Aprenda Lens Studio',
-      'extras.snapTips': 'Dicas para Snapchat',
-      'extras.growth': 'Estratégias de crescimento',
-      'extras.arCourse': 'Tutoriais de AR',
-      'footer.copyright': '© {year} SnapBoost. Todos os direitos reservados.'
-    },
-
-    // Arabic (RTL)
-    'ar': {
-      'nav.home': 'الرئيسية',
-      'nav.about': 'من نحن',
-      'nav.services': 'الخدمات',
-      'nav.achievements': 'الإنجازات',
-      'nav.extras': 'الموارد',
-      'hero.title': 'زد نقاط SnapScore والمتابعين فوراً',
-      'hero.subtitle': 'خدمات نمو احترافية على سناب شات مع نتائج مضمونة وجودة مميزة',
-      'btn.explore': 'استعرض الخدمات',
-      'btn.learn': 'المزيد',
-      'about.title': 'لماذا تختار SnapBoost؟',
-      'about.p1': 'فريقنا الخبير متخصص في استراتيجيات نمو سناب شات، تطوير عدسات AR، وخدمات الحسابات المميزة. لدينا أكثر من 5 سنوات خبرة في التسويق عبر وسائل التواصل ومساعدة آلاف العملاء.',
-      'about.p2': 'من نمو المتابعين العضوي إلى فلاتر AR المخصصة، نقدم حلولاً متكاملة تعطي نتائج حقيقية وقابلة للقياس على سناب شات.',
-      'stat.clients': 'عملاء راضون',
-      'stat.success': 'نسبة النجاح',
-      'services.title': 'خدماتنا المميزة',
-      'service1.title': 'زيادة المتابعين و SnapScore',
-      'service1.desc': 'باقات نمو عضوي مع متابعين حقيقيين ونشطين. زد نقاط SnapScore بطريقة طبيعية باستخدام استراتيجياتنا المجربة.',
-      'service1.features': ['متابعون حقيقيون', 'SnapScores حقيقية', 'آمن ومحمية'],
-      'service2.title': 'إنشاء عدسات AR',
-      'service2.desc': 'فلاتر وعدسات AR مخصصة لتفاعل جمهورك، من تراكبات بسيطة إلى تجارب تفاعلية متقدمة.',
-      'service2.features': ['تصميم مخصص', 'جودة عالية', 'تسليم سريع'],
-      'service3.title': 'بيع حسابات مميزة',
-      'service3.desc': 'حسابات سناب شات مميزة ومُتحققة مع متابعين ومشاركة نشطة. مثالية للشركات والمؤثرين.',
-      'service3.features': ['حسابات مُتحققة', 'نقل فوري', 'دعم 24/7', 'ضمان استرداد الأموال'],
-      'achievements.title': 'إنجازاتنا',
-      'achievement.ar': 'عدسات AR مُنشأة',
-      'achievement.accounts': 'حسابات مُسلَّمة',
-      'achievement.refill': 'نسبة ضمان التعبئة',
-      'features.title': 'ماذا نقدم',
-      'feature1.title': 'متابعون و SnapScores (جميع النطاقات)',
-      'feature1.list': [
-        'زيادات SnapScore حتى 10M',
-        'حسابات SnapScore جاهزة لجميع النطاقات',
-        'حسابات Creator جاهزة متاحة',
-        'حسابات شائعة متاحة',
-        'باقات مخصصة متاحة',
-        'تسليم تدريجي للحماية'
-      ],
-      'feature2.title': 'عدسات و AR مخصصة',
-      'feature2.list': [
-        'فلاتر للوجه والتأثيرات',
-        'عدسات عالمية وكائنات',
-        'تجارب AR تفاعلية',
-        'فلاتر مخصصة للعلامات التجارية',
-        'عدسات للفعاليات والحملات',
-        'خبرة في Lens Studio'
-      ],
-      'extras.title': 'موارد التعلم',
-      'extras.learnLens': 'تعلم Lens Studio',
-      'extras.snapTips': 'نصائح سناب شات',
-      'extras.growth': 'استراتيجيات النمو',
-      'extras.arCourse': 'دورات AR',
-      'footer.copyright': '© {year} SnapBoost. كل الحقوق محفوظة.'
-    },
-
-    // Chinese Simplified
-    'zh': {
-      'nav.home': '首页',
-      'nav.about': '关于',
-      'nav.services': '服务',
-      'nav.achievements': '成就',
-      'nav.extras': '资源',
-      'hero.title': '立即提升你的 SnapScore 与粉丝',
-      'hero.subtitle': '专业的 Snapchat 增长服务，保证效果与优质体验',
-      'btn.explore': '查看服务',
-      'btn.learn': '了解更多',
-      'about.title': '为什么选择 SnapBoost？',
-      'about.p1': '我们的专业团队专注于 Snapchat 增长策略、AR 滤镜开发及高级账号服务。我们在社交媒体营销方面有超过 5 年经验，帮助了数千名客户达成目标。',
-      'about.p2': '从有机粉丝增长到定制 AR 滤镜，我们提供完整的解决方案，带来真实且可衡量的结果。',
-      'stat.clients': '满意客户',
-      'stat.success': '成功率',
-      'services.title': '我们的高级服务',
-      'service1.title': '粉丝与 SnapScore 提升',
-      'service1.desc': '提供真实活跃粉丝的有机增长套餐。使用我们经过验证的策略自然提升你的 SnapScore。',
-      'service1.features': ['真实粉丝', '真实 SnapScores', '安全可靠'],
-      'service2.title': 'AR 滤镜制作',
-      'service2.desc': '定制面部与世界滤镜，旨在提高受众参与度，从简单覆盖层到复杂交互体验均可。',
-      'service2.features': ['自定义设计', '高质量', '快速交付'],
-      'service3.title': '高级账号出售',
-      'service3.desc': '带有既有粉丝与参与度的认证账号，适合企业与网红使用。',
-      'service3.features': ['认证账号', '即时转移', '全天候支持', '退款保证'],
-      'achievements.title': '我们的成就',
-      'achievement.ar': '已创建 AR 滤镜',
-      'achievement.accounts': '已交付账号',
-      'achievement.refill': '补充保障 %',
-      'features.title': '我们的服务内容',
-      'feature1.title': '各类粉丝与 SnapScores',
-      'feature1.list': [
-        'SnapScore 提升高达 10M',
-        '各类预制 SnapScore 账号可用',
-        '预制 Creator 账号可用',
-        '热门账号可用',
-        '可定制套餐',
-        '为安全考虑逐步交付'
-      ],
-      'feature2.title': '定制 AR 与 滤镜',
-      'feature2.list': [
-        '面部滤镜与特效',
-        '世界滤镜与对象',
-        '互动式 AR 体验',
-        '品牌专属滤镜',
-        '活动与推广滤镜',
-        'Lens Studio 专业'
-      ],
-      'extras.title': '学习资源',
-      'extras.learnLens': '学习 Lens Studio',
-      'extras.snapTips': 'Snapchat 小贴士',
-      'extras.growth': '增长策略',
-      'extras.arCourse': 'AR 教程',
-      'footer.copyright': '© {year} SnapBoost。版权所有。'
-    },
-
-    // Turkish
-    'tr': {
-      'nav.home': 'Ana Sayfa',
-      'nav.about': 'Hakkında',
-      'nav.services': 'Hizmetler',
-      'nav.achievements': 'Başarılar',
-      'nav.extras': 'Kaynaklar',
-      'hero.title': 'SnapScore ve takipçilerini anında artır',
-      'hero.subtitle': 'Garantili sonuçlarla profesyonel Snapchat büyüme hizmetleri ve premium kalite',
-      'btn.explore': 'Hizmetleri Keşfet',
-      'btn.learn': 'Daha fazla',
-      'about.title': 'Neden SnapBoost?',
-      'about.p1': 'Uzman ekibimiz Snapchat büyüme stratejileri, AR lens geliştirme ve premium hesap hizmetlerinde uzmandır. Sosyal medya pazarlaması konusunda 5 yılı aşkın deneyime sahibiz ve binlerce müşterinin hedeflerine ulaşmasına yardımcı olduk.',
-      'about.p2': 'Organik takipçi artışından özel AR filtrelerine kadar, Snapchat varlığınız için gerçek ve ölçülebilir sonuçlar veren kapsamlı çözümler sunuyoruz.',
-      'stat.clients': 'Memnun Müşteriler',
-      'stat.success': 'Başarı Oranı',
-      'services.title': 'Premium Hizmetlerimiz',
-      'service1.title': 'Takipçi & SnapScore Artışı',
-      'service1.desc': "Gerçek, aktif takipçilerle organik büyüme paketleri. Kanıtlanmış stratejilerimizle SnapScore'unuzu doğal olarak artırın.",
-      'service1.features': ['Gerçek Takipçiler', 'Gerçek SnapScores', 'Güvenli & Emniyetli'],
-      'service2.title': 'AR Lens Oluşturma',
-      'service2.desc': 'Basit kaplamalardan karmaşık etkileşimli deneyimlere kadar, kitlenizi meşgul edecek özel AR filtreleri ve lensler.',
-      'service2.features': ['Özel Tasarım', 'Yüksek Kalite', 'Hızlı Teslimat'],
-      'service3.title': 'Premium Hesap Satışı',
-      'service3.desc': 'Kurulmuş takipçilere ve etkileşime sahip doğrulanmış premium Snapchat hesapları. İşletmeler ve influencerlar için idealdir.',
-      'service3.features': ['Doğrulanmış Hesaplar', 'Anında Transfer', '7/24 Destek', 'Para İade Garantisi'],
-      'achievements.title': 'Başarılarımız',
-      'achievement.ar': 'Oluşturulan AR Lensler',
-      'achievement.accounts': 'Teslim Edilen Hesaplar',
-      'achievement.refill': 'Yenileme Garantisi %',
-      'features.title': 'Neler Sunuyoruz',
-      'feature1.title': 'Takipçiler & SnapScores (tüm aralıklar)',
-      'feature1.list': [
-        "SnapScore artışları 10M'e kadar",
-        'Tüm aralıklarda hazır SnapScore hesapları',
-        'Hazır Creator hesapları mevcut',
-        'Trend hesaplar mevcut',
-        'Özel paketler mevcut',
-        'Güvenlik için kademeli teslim'
-      ],
-      'feature2.title': 'Özel AR & Lensler',
-      'feature2.list': [
-        'Yüz filtreleri ve efektler',
-        'World lens ve nesneler',
-        'Etkileşimli AR deneyimleri',
-        'Marka özel filtreler',
-        'Etkinlik & kampanya lensleri',
-        'Lens Studio uzmanlığı'
-      ],
-      'extras.title': 'Öğrenme Kaynakları',
-      'extras.learnLens': 'Lens Studio öğren',
-      'extras.snapTips': 'Snapchat İpuçları',
-      'extras.growth': 'Büyüme Stratejileri',
-      'extras.arCourse': 'AR Eğitimleri',
-      'footer.copyright': '© {year} SnapBoost. Tüm hakları saklıdır.'
-    },
-
-    // Russian
-    'ru': {
-      'nav.home': 'Главная',
-      'nav.about': 'О нас',
-      'nav.services': 'Услуги',
-      'nav.achievements': 'Достижения',
-      'nav.extras': 'Ресурсы',
-      'hero.title': 'Увеличьте SnapScore и подписчиков мгновенно',
-      'hero.subtitle': 'Профессиональные услуги по росту в Snapchat с гарантированными результатами и премиум-качеством',
-      'btn.explore': 'Посмотреть услуги',
-      'btn.learn': 'Узнать больше',
-      'about.title': 'Почему SnapBoost?',
-      'about.p1': 'Наша команда экспертов специализируется на стратегиях роста в Snapchat, разработке AR-линз и премиум-услугах аккаунтов. С более чем 5-летним опытом в маркетинге социальных сетей мы помогли тысячам клиентов.',
-      'about.p2': 'От органического роста подписчиков до кастомных AR-фильтров — мы предоставляем комплексные решения, которые дают реальные измеримые результаты.',
-      'stat.clients': 'Довольные клиенты',
-      'stat.success': 'Процент успеха',
-      'services.title': 'Наши премиум-услуги',
-      'service1.title': 'Рост подписчиков & SnapScore',
-      'service1.desc': 'Пакеты органического роста с реальными активными подписчиками. Увеличьте свой SnapScore естественно с помощью проверенных стратегий.',
-      'service1.features': ['Реальные подписчики', 'Реальные SnapScores', 'Безопасно и надежно'],
-      'service2.title': 'Создание AR-линз',
-      'service2.desc': 'Кастомные AR-фильтры и линзы, которые вовлекают аудиторию — от простых наложений до сложных интерактивных опытов.',
-      'service2.features': ['Индивидуальный дизайн', 'Высокое качество', 'Быстрая доставка'],
-      'service3.title': 'Продажа премиум-аккаунтов',
-      'service3.desc': 'Проверенные аккаунты Snapchat с установленными подписчиками и вовлеченностью, идеально подходят для бизнеса и инфлюенсеров.',
-      'service3.features': ['Проверенные аккаунты', 'Мгновенный перевод', 'Круглосуточная поддержка', 'Гарантия возврата денег'],
-      'achievements.title': 'Наши достижения',
-      'achievement.ar': 'Создано AR-линз',
-      'achievement.accounts': 'Доставлено аккаунтов',
-      'achievement.refill': 'Гарантия пополнения %',
-      'features.title': 'Что мы предлагаем',
-      'feature1.title': 'Подписчики & SnapScores (все диапазоны)',
-      'feature1.list': [
-        'Повышение SnapScore до 10M',
-        'Готовые SnapScore аккаунты всех диапазонов',
-        'Готовые Creator аккаунты доступны',
-        'Популярные аккаунты в наличии',
-        'Индивидуальные пакеты',
-        'Постепенная доставка для безопасности'
-      ],
-      'feature2.title': 'Кастомные AR & линзы',
-      'feature2.list': [
-        'Фильтры для лица и эффекты',
-        'World lenses и объекты',
-        'Интерактивные AR-опыты',
-        'Фильтры для брендов',
-        'Линзы для мероприятий и кампаний',
-        'Опыт работы с Lens Studio'
-      ],
-      'extras.title': 'Ресурсы для обучения',
-      'extras.learnLens': 'Учиться Lens Studio',
-      'extras.snapTips': 'Советы по Snapchat',
-      'extras.growth': 'Стратегии роста',
-      'extras.arCourse': 'AR-курсы',
-      'footer.copyright': '© {year} SnapBoost. Все права защищены.'
+      'footer.copyright': '© {year} SnapBoost. All rights reserved.',
+      'footer.whatsapp': 'Chat with us on WhatsApp',
+      'footer.snapchat': 'Add us on Snapchat',
+      'motion.label': 'Motion',
+      'motion.auto': 'Auto',
+      'motion.full': 'Full',
+      'motion.reduced': 'Reduced',
+      'motion.off': 'Off'
     }
   };
 
-  // ---------- Selectors & RTL ----------
-  const RTL_LANGS = ['ar', 'ur'];
-
-  const SELECTORS = {
-    'nav.home': 'a[href="#hero"]',
-    'nav.about': 'a[href="#about"]',
-    'nav.services': 'a[href="#services"]',
-    'nav.achievements': 'a[href="#achievements"]',
-    'nav.extras': 'a[href="#extras"]',
-    'hero.title': '#hero .hero-title',
-    'hero.subtitle': '#hero .hero-subtitle',
-    'btn.explore': '#hero .hero-buttons .btn-primary',
-    'btn.learn': '#hero .hero-buttons .btn-secondary',
-    'about.title': '#about .section-title',
-    'about.p1': '#about .about-text:nth-of-type(1)',
-    'about.p2': '#about .about-text:nth-of-type(2)',
-    'services.title': '#services .section-title',
-    'achievements.title': '#achievements .section-title',
-    'features.title': '#features .section-title',
-    'extras.title': '#extras .section-title',
-    'extras.learnLens': '.extras-grid a:nth-of-type(1) .extra-text',
-    'extras.snapTips': '.extras-grid a:nth-of-type(2) .extra-text',
-    'extras.growth': '.extras-grid a:nth-of-type(3) .extra-text',
-    'extras.arCourse': '.extras-grid a:nth-of-type(4) .extra-text'
+  // ---------- Locale metadata ----------
+  // Every supported locale, with the native name shown in the language switcher, the
+  // BCP 47 tag used for content-language / JSON-LD inLanguage, the Open Graph locale and
+  // the writing direction (ltr unless stated)
+  const LOCALE_META = {
+    'en': { name: 'English', tag: 'en-US', og: 'en_US' },
+    'es': { name: 'Español', tag: 'es-ES', og: 'es_ES' },
+    'fr': { name: 'Français', tag: 'fr-FR', og: 'fr_FR' },
+    'de': { name: 'Deutsch', tag: 'de-DE', og: 'de_DE' },
+    'pt': { name: 'Português', tag: 'pt-BR', og: 'pt_BR' },
+    'ar': { name: 'العربية', tag: 'ar', og: 'ar_AR', dir: 'rtl' },
+    'zh': { name: '中文', tag: 'zh-Hans', og: 'zh_CN' },
+    'tr': { name: 'Türkçe', tag: 'tr-TR', og: 'tr_TR' },
+    'ru': { name: 'Русский', tag: 'ru-RU', og: 'ru_RU' }
   };
 
+  // ---------- RTL ----------
+  const RTL_LANGS = Object.keys(LOCALE_META).filter(code => LOCALE_META[code].dir === 'rtl');
+
+  // Latin runs inside right-to-left text ("SnapScore", "AR", "Lens Studio") are wrapped in
+  // Unicode isolates (FSI … PDI) so neighbouring numbers and punctuation keep their order.
+  // Only applied to DOM text; attributes and head metadata stay free of control characters.
+  const LATIN_RUN_RE = /[A-Za-z][A-Za-z0-9]*(?:[ &+./-]+[A-Za-z0-9]+)*/g;
+
+  function isolateLatinRuns(text) {
+    return String(text).replace(LATIN_RUN_RE, run => `\u2068${run}\u2069`);
+  }
+
   // ---------- Sanitization ----------
   function sanitizeDict(raw) {
     if (!raw || typeof raw !== 'object') return raw;
@@ -655,123 +307,1005 @@
     return out;
   }
 
-  // ---------- Apply translations ----------
-  function applyTranslations(lang) {
-    const raw = TRANSLATIONS[lang];
-    if (!raw) return false;
-    const dict = sanitizeDict(raw);
+  // ---------- Locale bundles ----------
+  // Resolved relative to this script so the site can be served from any base path
+  const LOCALES_BASE = (function () {
+    try { return new URL('../locales/', document.currentScript.src).href; } catch (e) { return 'locales/'; }
+  })();
 
-    // wrap emojis in document (best effort)
-    try { wrapEmojiSpans(document.body); } catch (e) { console.warn('emoji wrap failed', e); }
+  const pendingLoads = {};
 
-    try { document.documentElement.lang = lang; document.documentElement.dir = RTL_LANGS.includes(lang) ? 'rtl' : 'ltr'; } catch (e) {}
-
-    // 1) selectors
-    Object.keys(SELECTORS).forEach(key => {
-      if (!(key in dict)) return;
-      const sel = SELECTORS[key];
-      const el = document.querySelector(sel);
-      if (!el) return;
-      safeSet(el, dict[key]);
+  // A bundle must be a flat object of strings or string arrays
+  function validateBundle(lang, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Locale bundle "${lang}" is not an object`);
+    }
+    Object.keys(data).forEach(k => {
+      const v = data[k];
+      const ok = typeof v === 'string' || (Array.isArray(v) && v.every(item => typeof item === 'string'));
+      if (!ok) throw new Error(`Locale bundle "${lang}" has an invalid value for "${k}"`);
     });
+    return data;
+  }
+
+  // Fetch locales/<lang>.json once and cache it in TRANSLATIONS; failed loads are not cached
+  function loadLocale(lang) {
+    if (hasOwn(TRANSLATIONS, lang)) return Promise.resolve(TRANSLATIONS[lang]);
+    if (lang === PSEUDO_LOCALE) {
+      TRANSLATIONS[lang] = pseudoDict(TRANSLATIONS.en);
+      return Promise.resolve(TRANSLATIONS[lang]);
+    }
+    if (!hasOwn(LOCALE_META, lang)) return Promise.reject(new Error(`Unsupported locale "${lang}"`));
+    if (hasOwn(pendingLoads, lang)) return pendingLoads[lang];
+
+    pendingLoads[lang] = fetch(`${LOCALES_BASE}${lang}.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Locale bundle "${lang}" failed to load (HTTP ${res.status})`);
+        return res.json().catch(() => { throw new Error(`Locale bundle "${lang}" is not valid JSON`); });
+      })
+      .then(data => {
+        TRANSLATIONS[lang] = validateBundle(lang, data);
+        return TRANSLATIONS[lang];
+      })
+      .finally(() => { delete pendingLoads[lang]; });
+
+    return pendingLoads[lang];
+  }
+
+  // ---------- Message formatting (ICU MessageFormat subset) ----------
+  // Supported arguments:
+  //   {name}                                   value as-is
+  //   {n, number}  {n, number, integer|percent|compact}
+  //   {n, plural, [offset:k] =0 {…} one {…} other {…}}   # is the (offset) number
+  //   {n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+  //   {x, select, a {…} other {…}}
+  // Categories come from Intl.PluralRules, so ar/ru get zero/two/few/many as needed;
+  // a missing category falls back to "other". Quote literal braces with apostrophes: '{' '}'.
+  const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' },
+    compact: { notation: 'compact' }
+  };
+
+  const messageCache = new Map();
+  const intlCache = new Map();
+
+  function cachedIntl(Ctor, lang, options) {
+    const id = `${Ctor.name}|${lang}|${JSON.stringify(options || {})}`;
+    if (!intlCache.has(id)) intlCache.set(id, new Ctor(lang, options));
+    return intlCache.get(id);
+  }
+
+  function parseMessage(msg) {
+    let pos = 0;
+    const fail = text => new Error(`[i18n] ${text} at position ${pos} in message "${msg}"`);
+    const skipSpace = () => { while (pos < msg.length && /\s/.test(msg[pos])) pos++; };
+    const expect = ch => {
+      skipSpace();
+      if (msg[pos] !== ch) throw fail(`Expected "${ch}"`);
+      pos++;
+    };
+    const readWord = re => {
+      skipSpace();
+      const m = re.exec(msg.slice(pos));
+      if (!m) throw fail('Expected an identifier');
+      pos += m[0].length;
+      return m[0];
+    };
 
-    // 2) Services (titles, descs and feature tags)
-    const svcCards = Array.from(document.querySelectorAll('.service-card'));
-    if (svcCards.length) {
-      if (dict['service1.title']) safeSet(svcCards[0].querySelector('.service-title'), dict['service1.title']);
-      if (dict['service1.desc']) safeSet(svcCards[0].querySelector('.service-description'), dict['service1.desc']);
-      if (Array.isArray(dict['service1.features'])) {
-        const tags = svcCards[0].querySelectorAll('.service-features .feature-tag');
-        dict['service1.features'].forEach((txt, i) => { if (tags[i]) safeSet(tags[i], txt); });
+    function parseParts(inPlural) {
+      const parts = [];
+      let text = '';
+      const flush = () => { if (text) parts.push(text); text = ''; };
+      while (pos < msg.length && msg[pos] !== '}') {
+        const ch = msg[pos];
+        if (ch === '{') {
+          flush();
+          parts.push(parseArgument(inPlural));
+        } else if (ch === '#' && inPlural) {
+          flush();
+          parts.push({ type: 'pound' });
+          pos++;
+        } else if (ch === "'" && msg[pos + 1] === "'") {
+          text += "'";
+          pos += 2;
+        } else if (ch === "'" && /[{}#]/.test(msg[pos + 1] || '')) {
+          const end = msg.indexOf("'", pos + 1);
+          text += msg.slice(pos + 1, end === -1 ? msg.length : end);
+          pos = end === -1 ? msg.length : end + 1;
+        } else {
+          text += ch;
+          pos++;
+        }
       }
+      flush();
+      return parts;
+    }
 
-      if (svcCards[1]) {
-        if (dict['service2.title']) safeSet(svcCards[1].querySelector('.service-title'), dict['service2.title']);
-        if (dict['service2.desc']) safeSet(svcCards[1].querySelector('.service-description'), dict['service2.desc']);
-        if (Array.isArray(dict['service2.features'])) {
-          const tags = svcCards[1].querySelectorAll('.service-features .feature-tag');
-          dict['service2.features'].forEach((txt, i) => { if (tags[i]) safeSet(tags[i], txt); });
+    function parseOptions(type, inPlural) {
+      const options = Object.create(null);
+      let offset = 0;
+      skipSpace();
+      if (type === 'plural' && msg.startsWith('offset:', pos)) {
+        pos += 7;
+        offset = Number(readWord(/^\d+/));
+      }
+      for (skipSpace(); msg[pos] !== '}'; skipSpace()) {
+        if (pos >= msg.length) throw fail('Unterminated argument');
+        const selector = readWord(/^(=-?\d+(\.\d+)?|[\w-]+)/);
+        expect('{');
+        options[selector] = parseParts(inPlural || type === 'plural');
+        expect('}');
+      }
+      if (!options.other) throw fail(`The ${type} argument needs an "other" option`);
+      return { options, offset };
+    }
+
+    function parseArgument(inPlural) {
+      expect('{');
+      const name = readWord(/^[\w.]+/);
+      skipSpace();
+      if (msg[pos] === '}') { pos++; return { type: 'arg', name }; }
+      expect(',');
+      const type = readWord(/^\w+/);
+      let node;
+      if (type === 'number') {
+        skipSpace();
+        let style = null;
+        if (msg[pos] === ',') {
+          pos++;
+          style = readWord(/^\w+/);
+          if (!NUMBER_STYLES[style]) throw fail(`Unknown number style "${style}"`);
         }
+        node = { type: 'number', name, style };
+      } else if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+        expect(',');
+        node = Object.assign({ type, name }, parseOptions(type === 'selectordinal' ? 'plural' : type, inPlural));
+      } else {
+        throw fail(`Unknown argument type "${type}"`);
       }
+      expect('}');
+      return node;
+    }
+
+    const parts = parseParts(false);
+    if (pos < msg.length) throw fail('Unexpected "}"');
+    return parts;
+  }
 
-      if (svcCards[2]) {
-        if (dict['service3.title']) safeSet(svcCards[2].querySelector('.service-title'), dict['service3.title']);
-        if (dict['service3.desc']) safeSet(svcCards[2].querySelector('.service-description'), dict['service3.desc']);
-        if (Array.isArray(dict['service3.features'])) {
-          const tags = svcCards[2].querySelectorAll('.service-features .feature-tag');
-          dict['service3.features'].forEach((txt, i) => { if (tags[i]) safeSet(tags[i], txt); });
+  function formatParts(parts, vars, lang, msg, pluralValue) {
+    const lookup = name => {
+      if (!vars || !hasOwn(vars, name) || vars[name] === undefined) {
+        throw new Error(`[i18n] Message "${msg}" references undefined variable "${name}"`);
+      }
+      return vars[name];
+    };
+
+    return parts.map(part => {
+      if (typeof part === 'string') return part;
+      if (part.type === 'pound') return cachedIntl(Intl.NumberFormat, lang).format(pluralValue);
+      const value = lookup(part.name);
+      switch (part.type) {
+        case 'arg':
+          return String(value);
+        case 'number':
+          return cachedIntl(Intl.NumberFormat, lang, NUMBER_STYLES[part.style]).format(Number(value));
+        case 'select': {
+          const branch = part.options[String(value)] || part.options.other;
+          return formatParts(branch, vars, lang, msg, pluralValue);
         }
+        default: { // plural / selectordinal
+          const n = Number(value);
+          let branch = part.options[`=${n}`];
+          if (!branch) {
+            const rules = cachedIntl(Intl.PluralRules, lang, { type: part.type === 'selectordinal' ? 'ordinal' : 'cardinal' });
+            branch = part.options[rules.select(n - part.offset)] || part.options.other;
+          }
+          return formatParts(branch, vars, lang, msg, n - part.offset);
+        }
+      }
+    }).join('');
+  }
+
+  // Format an ICU-style message for lang; throws on syntax errors and undefined variables
+  function formatMessage(msg, vars, lang) {
+    const source = String(msg);
+    if (!messageCache.has(source)) messageCache.set(source, parseMessage(source));
+    return formatParts(messageCache.get(source), vars, lang || 'en', source);
+  }
+
+  // ---------- Pseudo-localization (?lang=pseudo) ----------
+  // Generated at runtime from English: letters are accented, each message grows by ~35%
+  // and is bracketed, so hardcoded strings (still plain ASCII) and overflowing layouts
+  // stand out. ICU arguments are kept intact by transforming the parsed message.
+  // Never offered in the switcher, stored, or prerendered.
+  const PSEUDO_LOCALE = 'pseudo';
+  const PSEUDO_TAG = 'en-XA';
+  const PSEUDO_EXPANSION = 0.35;
+  const PSEUDO_CHARS = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'đ', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ĺ', m: 'ɱ',
+    n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Đ', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ĺ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+  };
+
+  // Inverse of parseMessage, used to rebuild pseudo-localized messages
+  function printParts(parts) {
+    return parts.map(part => {
+      if (typeof part === 'string') return part.replace(/'/g, "''").replace(/[{}#]/g, "'$&'");
+      switch (part.type) {
+        case 'pound': return '#';
+        case 'arg': return `{${part.name}}`;
+        case 'number': return `{${part.name}, number${part.style ? `, ${part.style}` : ''}}`;
+        default: {
+          const offset = part.offset ? ` offset:${part.offset}` : '';
+          const options = Object.keys(part.options).map(sel => ` ${sel} {${printParts(part.options[sel])}}`).join('');
+          return `{${part.name}, ${part.type},${offset}${options}}`;
+        }
+      }
+    }).join('');
+  }
+
+  function pseudoParts(parts, counter) {
+    return parts.map(part => {
+      if (typeof part === 'string') {
+        counter.length += part.length;
+        return part.replace(/[A-Za-z]/g, ch => PSEUDO_CHARS[ch]);
       }
+      if (!part.options) return part;
+      const options = {};
+      Object.keys(part.options).forEach(sel => { options[sel] = pseudoParts(part.options[sel], counter); });
+      return Object.assign({}, part, { options });
+    });
+  }
+
+  function pseudoMessage(msg) {
+    const counter = { length: 0 };
+    const body = printParts(pseudoParts(parseMessage(String(msg)), counter));
+    const pad = Math.ceil(counter.length * PSEUDO_EXPANSION);
+    const filler = '·····'.repeat(Math.ceil(pad / 5)).slice(0, pad).replace(/(.{5})(?=.)/g, '$1 ');
+    return `[${body}${filler ? ` ${filler}` : ''}]`;
+  }
+
+  function pseudoDict(source) {
+    const out = {};
+    Object.keys(source).forEach(k => {
+      const v = source[k];
+      out[k] = Array.isArray(v) ? v.map(pseudoMessage) : pseudoMessage(v);
+    });
+    return out;
+  }
+
+  // Highlight every visible text node that still contains plain ASCII letters, i.e. text the
+  // pseudo locale did not reach. Opt elements out with the standard translate="no" attribute.
+  const UNTRANSLATED_CLASS = 'i18n-untranslated';
+
+  function highlightUntranslated(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    const found = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const parent = node.parentElement;
+      if (!/[A-Za-z]/.test(node.nodeValue) || !parent) continue;
+      if (parent.closest(`script, style, noscript, template, [translate="no"], .${EMOJI_CLASS}`)) continue;
+      parent.classList.add(UNTRANSLATED_CLASS);
+      found.push(parent);
     }
+    if (found.length) console.warn(`[i18n] ${found.length} untranslated text node(s) in pseudo locale`, found);
+    return found;
+  }
+
+  function clearUntranslated() {
+    document.querySelectorAll(`.${UNTRANSLATED_CLASS}`).forEach(el => el.classList.remove(UNTRANSLATED_CLASS));
+  }
 
-    // 3) stat labels
-    const statLabels = Array.from(document.querySelectorAll('.stat-label'));
-    if (statLabels.length) {
-      if (dict['stat.clients'] && statLabels[0]) safeSet(statLabels[0], dict['stat.clients']);
-      if (dict['stat.success'] && statLabels[1]) safeSet(statLabels[1], dict['stat.success']);
+  // ---------- Declarative bindings ----------
+  // Elements opt in with data-i18n="key". String values are written through safeSet
+  // (so .emoji spans survive); array values are spread over the element's children,
+  // and <ul>/<ol> lists are rebuilt so the item count follows the dictionary.
+  // Message variables come from the page-wide vars plus an optional JSON
+  // data-i18n-vars attribute, e.g. data-i18n-vars='{"count": 250}'.
+  // Attributes are bound the same way with data-i18n-<attribute>="key", e.g.
+  // data-i18n-alt or data-i18n-aria-label for accessible names of icon-only controls.
+  const I18N_ATTR = 'data-i18n';
+  const I18N_VARS_ATTR = 'data-i18n-vars';
+  const TRANSLATABLE_ATTRS = ['alt', 'aria-label', 'title', 'placeholder', 'content'];
+
+  function elementVars(el, vars) {
+    const raw = el.getAttribute(I18N_VARS_ATTR);
+    if (!raw) return vars;
+    try {
+      return Object.assign({}, vars, JSON.parse(raw));
+    } catch (e) {
+      console.error(`[i18n] Invalid ${I18N_VARS_ATTR} JSON on`, el, e);
+      return vars;
     }
+  }
 
-    // 4) achievements labels
-    const achLabels = Array.from(document.querySelectorAll('#achievements .achievement-label'));
-    if (achLabels.length) {
-      if (dict['achievement.ar'] && achLabels[0]) safeSet(achLabels[0], dict['achievement.ar']);
-      if (dict['achievement.accounts'] && achLabels[1]) safeSet(achLabels[1], dict['achievement.accounts']);
-      if (dict['achievement.refill'] && achLabels[2]) safeSet(achLabels[2], dict['achievement.refill']);
+  function bindElement(el, value, vars, lang) {
+    const rtl = RTL_LANGS.includes(lang) && !el.closest('head');
+    const format = msg => (rtl ? isolateLatinRuns(formatMessage(msg, vars, lang)) : formatMessage(msg, vars, lang));
+    if (Array.isArray(value)) {
+      const items = value.map(format);
+      if (el.tagName === 'UL' || el.tagName === 'OL') {
+        el.innerHTML = items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+        return;
+      }
+      const children = Array.from(el.children);
+      items.forEach((txt, i) => { if (children[i]) safeSet(children[i], txt); });
+      return;
     }
+    if (typeof value === 'string') safeSet(el, format(value));
+  }
 
-    // 5) feature panels lists
-    const featurePanels = Array.from(document.querySelectorAll('#features .feature-panel'));
-    if (featurePanels.length) {
-      if (dict['feature1.title'] && featurePanels[0].querySelector('.feature-title')) safeSet(featurePanels[0].querySelector('.feature-title'), dict['feature1.title']);
-      if (dict['feature1.list'] && Array.isArray(dict['feature1.list'])) {
-        const ul = featurePanels[0].querySelector('.feature-list');
-        if (ul) ul.innerHTML = dict['feature1.list'].map(item => `<li>${escapeHtml(item)}</li>`).join('');
+  function boundElements(root, attr) {
+    const els = Array.from(root.querySelectorAll(`[${attr}]`));
+    if (root.nodeType === 1 && root.hasAttribute(attr)) els.unshift(root);
+    return els;
+  }
+
+  function applyBindings(root, dict, vars, lang) {
+    if (!root || !dict) return;
+    const bind = (el, key, apply) => {
+      if (!key || !hasOwn(dict, key)) return;
+      try {
+        apply(dict[key], elementVars(el, vars));
+      } catch (e) {
+        console.error(`[i18n] Could not format "${key}" (${lang}):`, e.message);
       }
-      if (featurePanels[1]) {
-        if (dict['feature2.title'] && featurePanels[1].querySelector('.feature-title')) safeSet(featurePanels[1].querySelector('.feature-title'), dict['feature2.title']);
-        if (dict['feature2.list'] && Array.isArray(dict['feature2.list'])) {
-          const ul2 = featurePanels[1].querySelector('.feature-list');
-          if (ul2) ul2.innerHTML = dict['feature2.list'].map(item => `<li>${escapeHtml(item)}</li>`).join('');
-        }
+    };
+
+    boundElements(root, I18N_ATTR).forEach(el => {
+      bind(el, el.getAttribute(I18N_ATTR), (value, elVars) => bindElement(el, value, elVars, lang));
+    });
+
+    TRANSLATABLE_ATTRS.forEach(name => {
+      const attr = `${I18N_ATTR}-${name}`;
+      boundElements(root, attr).forEach(el => {
+        bind(el, el.getAttribute(attr), (value, elVars) => {
+          if (typeof value === 'string') el.setAttribute(name, formatMessage(value, elVars, lang));
+        });
+      });
+    });
+  }
+
+  // ---------- Head metadata & structured data ----------
+  // JSON-LD fields translated per @type; inLanguage is set wherever the node declares it
+  const JSONLD_FIELDS = {
+    WebSite: { description: 'ld.website.description' },
+    WebPage: { name: 'ld.webpage.name', description: 'ld.webpage.description' },
+    Service: { name: 'ld.service.name', description: 'ld.service.description' }
+  };
+
+  function setMeta(selector, value) {
+    const el = document.head.querySelector(selector);
+    if (el && value) el.setAttribute('content', value);
+  }
+
+  function translateJsonLd(data, dict, tag) {
+    const nodes = Array.isArray(data['@graph']) ? data['@graph'] : [data];
+    nodes.forEach(node => {
+      const fields = JSONLD_FIELDS[node['@type']];
+      if (fields) Object.keys(fields).forEach(field => { if (dict[fields[field]]) node[field] = dict[fields[field]]; });
+      if ('inLanguage' in node) node.inLanguage = tag;
+
+      if (node['@type'] === 'FAQPage' && Array.isArray(node.mainEntity)) {
+        const questions = dict['faq.questions'] || [];
+        const answers = dict['faq.answers'] || [];
+        node.mainEntity.forEach((entry, i) => {
+          if (questions[i]) entry.name = questions[i];
+          if (answers[i] && entry.acceptedAnswer) entry.acceptedAnswer.text = answers[i];
+        });
+      }
+    });
+    return data;
+  }
+
+  function applyHeadMetadata(dict, lang) {
+    if (!document.head) return;
+    const meta = LOCALE_META[lang] || {};
+    const tag = meta.tag || lang;
+
+    setMeta('meta[http-equiv="content-language"]', tag);
+    setMeta('meta[property="og:locale"]', meta.og);
+
+    document.head.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const data = translateJsonLd(JSON.parse(script.textContent), dict, tag);
+        script.textContent = `\n  ${JSON.stringify(data, null, 2).replace(/\n/g, '\n  ')}\n  `;
+      } catch (e) {
+        console.error('[i18n] Could not translate JSON-LD', e);
       }
+    });
+  }
+
+  // ---------- Language change notification ----------
+  // Fired once per actual change (including the first pass): subscribers are called first,
+  // then a non-bubbling "languagechange" CustomEvent is dispatched on document. (window has a
+  // native languagechange event for navigator.languages, so we stay off window.)
+  const LANGUAGE_CHANGE_EVENT = 'languagechange';
+  const languageListeners = new Set();
+
+  function subscribe(listener) {
+    if (typeof listener !== 'function') throw new TypeError('[i18n] subscribe() expects a function');
+    languageListeners.add(listener);
+    return () => unsubscribe(listener);
+  }
+
+  function unsubscribe(listener) {
+    return languageListeners.delete(listener);
+  }
+
+  function notifyLanguageChange(lang, previous) {
+    const detail = Object.freeze({ lang, previous, dir: document.documentElement.dir || 'ltr' });
+    languageListeners.forEach(listener => {
+      try { listener(detail); } catch (e) { console.error('[i18n] languagechange listener failed', e); }
+    });
+    document.dispatchEvent(new CustomEvent(LANGUAGE_CHANGE_EVENT, { detail }));
+  }
+
+  // ---------- Apply translations ----------
+  // Synchronous pass over the document; the locale must already be in TRANSLATIONS
+  let currentLang = null;
+  let currentContext = null; // what dynamically added content is translated with
+
+  function pageVars() {
+    return { year: String(new Date().getFullYear()) };
+  }
+
+  function applyTranslations(lang) {
+    const raw = hasOwn(TRANSLATIONS, lang) ? TRANSLATIONS[lang] : null;
+    if (!raw) return false;
+    const dict = sanitizeDict(Object.assign({}, TRANSLATIONS.en, raw));
+    const pseudo = lang === PSEUDO_LOCALE;
+    const formatLang = pseudo ? 'en' : lang; // pseudo strings follow English plural rules
+
+    withObserverPaused(() => {
+      // wrap emojis in document (best effort)
+      try { wrapEmojiSpans(document.body); } catch (e) { console.warn('emoji wrap failed', e); }
+
+      try { document.documentElement.lang = pseudo ? PSEUDO_TAG : lang; document.documentElement.dir = RTL_LANGS.includes(lang) ? 'rtl' : 'ltr'; } catch (e) {}
+
+      // declarative bindings (data-i18n="key")
+      applyBindings(document, dict, pageVars(), formatLang);
+      applyHeadMetadata(dict, formatLang);
+
+      clearUntranslated();
+      if (pseudo && document.body) highlightUntranslated(document.body);
+
+      const select = document.getElementById(SWITCHER_ID);
+      if (select) select.value = lang;
+    });
+
+    const previous = currentLang;
+    currentLang = lang;
+    currentContext = { lang, dict, formatLang, pseudo };
+    if (editMode) editMode.sync();
+    if (previous !== lang) notifyLanguageChange(lang, previous);
+    return true;
+  }
+
+  // Look up and format a key in the current language (English before the first pass).
+  // Page vars such as {year} are always available; array values come back as arrays and
+  // unknown keys come back as the key itself.
+  function t(key, vars) {
+    const dict = currentContext ? currentContext.dict : sanitizeDict(TRANSLATIONS.en);
+    const lang = currentContext ? currentContext.formatLang : 'en';
+    const value = hasOwn(dict, key) ? dict[key] : undefined;
+    if (value === undefined) {
+      console.warn(`[i18n] Unknown key "${key}"`);
+      return key;
     }
+    const allVars = Object.assign(pageVars(), vars);
+    const format = msg => formatMessage(msg, allVars, lang);
+    return Array.isArray(value) ? value.map(format) : format(value);
+  }
+
+  function availableLanguages() {
+    return Object.keys(LOCALE_META).map(code => ({
+      code,
+      name: LOCALE_META[code].name,
+      tag: LOCALE_META[code].tag,
+      dir: LOCALE_META[code].dir || 'ltr'
+    }));
+  }
+
+  // Load the locale bundle if needed, then apply it. Resolves to false (leaving the page in
+  // its current language) when the bundle is missing or malformed, or when a newer request won.
+  let latestRequest = 0;
+  function translate(lang) {
+    const request = ++latestRequest;
+    return loadLocale(lang)
+      .then(() => request === latestRequest && applyTranslations(lang))
+      .catch(err => {
+        console.warn('[i18n]', err.message);
+        return false;
+      });
+  }
+
+  // ---------- Dynamic content ----------
+  // Keyed elements inserted after a translation pass (main.js, widgets) are emoji-wrapped and
+  // translated into the current language. Each MutationObserver batch is reduced to its
+  // top-most added elements, elements already handled in the current language are skipped,
+  // and our own DOM writes happen with the observer paused so they never come back as work.
+  const OBSERVED_ATTRS = [I18N_ATTR, I18N_VARS_ATTR].concat(TRANSLATABLE_ATTRS.map(name => `${I18N_ATTR}-${name}`));
+  const contentObserver = typeof MutationObserver === 'function' ? new MutationObserver(translateAdded) : null;
+  const handledRoots = new WeakMap(); // element -> language it was translated into
+
+  function observeContent() {
+    contentObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: OBSERVED_ATTRS
+    });
+  }
 
-    // 6) extras (links)
-    if (dict['extras.learnLens']) {
-      const el = document.querySelector('.extras-grid a:nth-of-type(1) .extra-text'); if (el) safeSet(el, dict['extras.learnLens']);
+  // Run fn without observing its mutations; the observer (re)starts afterwards
+  function withObserverPaused(fn) {
+    if (!contentObserver) return fn();
+    contentObserver.disconnect();
+    try {
+      return fn();
+    } finally {
+      observeContent();
     }
-    if (dict['extras.snapTips']) {
-      const el = document.querySelector('.extras-grid a:nth-of-type(2) .extra-text'); if (el) safeSet(el, dict['extras.snapTips']);
+  }
+
+  // Top-most connected elements added (or re-keyed) by a batch of mutation records
+  function mutationRoots(records) {
+    const touched = new Set();
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        handledRoots.delete(record.target); // keys changed: translate again
+        touched.add(record.target);
+      } else {
+        record.addedNodes.forEach(node => { if (node.nodeType === 1) touched.add(node); });
+      }
+    });
+    const all = Array.from(touched);
+    return all.filter(el => el.isConnected && !all.some(other => other !== el && other.contains(el)));
+  }
+
+  function translateAdded(records) {
+    const context = currentContext;
+    if (!context) return;
+    const roots = mutationRoots(records).filter(el => handledRoots.get(el) !== context.lang);
+    if (!roots.length) return;
+
+    withObserverPaused(() => {
+      roots.forEach(root => {
+        try { wrapEmojiSpans(root); } catch (e) { console.warn('emoji wrap failed', e); }
+        applyBindings(root, context.dict, pageVars(), context.formatLang);
+        if (context.pseudo) highlightUntranslated(root);
+        handledRoots.set(root, context.lang);
+      });
+    });
+  }
+
+  // ---------- Locale negotiation (BCP 47) ----------
+  // Each requested tag is matched with RFC 4647 lookup: try the full tag, then drop trailing
+  // subtags (zh-Hant-TW -> zh-Hant -> zh). A candidate only matches a supported locale written
+  // in the same script, so zh-TW (Traditional) never lands on zh (Simplified) while pt-PT may
+  // still fall back to pt.
+  function parseTag(tag) {
+    try {
+      const locale = new Intl.Locale(String(tag).replace(/_/g, '-'));
+      return { tag: locale.toString(), script: locale.maximize().script };
+    } catch (e) {
+      return null;
     }
-    if (dict['extras.growth']) {
-      const el = document.querySelector('.extras-grid a:nth-of-type(3) .extra-text'); if (el) safeSet(el, dict['extras.growth']);
+  }
+
+  function lookupChain(tag) {
+    const parts = tag.split('-');
+    const chain = [];
+    while (parts.length) {
+      chain.push(parts.join('-'));
+      parts.pop();
+      // never end a candidate on a single-letter extension or private-use singleton
+      while (parts.length && parts[parts.length - 1].length === 1) parts.pop();
     }
-    if (dict['extras.arCourse']) {
-      const el = document.querySelector('.extras-grid a:nth-of-type(4) .extra-text'); if (el) safeSet(el, dict['extras.arCourse']);
+    return chain;
+  }
+
+  function matchLocale(tag) {
+    const requested = parseTag(tag);
+    if (!requested) return null;
+    const supported = Object.keys(LOCALE_META);
+    const chain = lookupChain(requested.tag);
+    for (let i = 0; i < chain.length; i++) {
+      const code = supported.find(c => c.toLowerCase() === chain[i].toLowerCase());
+      if (!code) continue;
+      const target = parseTag(code);
+      if (requested.script && target && target.script && requested.script !== target.script) continue;
+      return { locale: code, match: i === 0 ? 'exact' : 'fallback' };
     }
+    return null;
+  }
 
-    // 7) footer
-    const footer = document.querySelector('footer .footer-text p');
-    if (footer && dict['footer.copyright']) {
-      const year = new Date().getFullYear(); safeSet(footer, dict['footer.copyright'].replace('{year}', year));
+  // prefs: tags or [{ tag, reason }] in priority order. Returns { locale, reason, requested, match }
+  function negotiate(prefs) {
+    for (let i = 0; i < prefs.length; i++) {
+      const pref = typeof prefs[i] === 'string' ? { tag: prefs[i], reason: 'requested' } : prefs[i];
+      if (!pref || !pref.tag) continue;
+      const found = matchLocale(pref.tag);
+      if (found) return { locale: found.locale, reason: pref.reason, requested: String(pref.tag), match: found.match };
     }
+    return { locale: 'en', reason: 'default', requested: null, match: null };
+  }
 
-    return true;
+  // ---------- Language preference ----------
+  // Priority: ?lang= query parameter (shared links), stored choice, the page locale of a
+  // prerendered /<lang>/ page (data-i18n-locale on <html>; the English root has none, so it
+  // negotiates), browser languages.
+  const STORAGE_KEY = 'snapboost.lang';
+  const PAGE_LOCALE_ATTR = 'data-i18n-locale';
+
+  function pageLang() {
+    return document.documentElement.getAttribute(PAGE_LOCALE_ATTR);
+  }
+
+  function queryLang() {
+    try { return new URLSearchParams(window.location.search).get('lang'); } catch (e) { return null; }
+  }
+
+  function storedLang() {
+    try { return window.localStorage.getItem(STORAGE_KEY); } catch (e) { return null; }
+  }
+
+  function storeLang(lang) {
+    try { window.localStorage.setItem(STORAGE_KEY, lang); } catch (e) {}
+  }
+
+  // Keep an explicit ?lang= in the address bar in sync so reloading keeps the chosen language
+  function syncQueryLang(lang) {
+    try {
+      const url = new URL(window.location.href);
+      if (!url.searchParams.has('lang')) return;
+      url.searchParams.set('lang', lang);
+      window.history.replaceState(window.history.state, '', url);
+    } catch (e) {}
+  }
+
+  // ---------- Language switcher ----------
+  const SWITCHER_ID = 'lang-select';
+
+  // Rendered from LOCALE_META as the last .nav-links item, so it also shows in the mobile menu.
+  // Prerendered pages already contain it; only the change listener is attached then.
+  function renderSwitcher() {
+    const existing = document.getElementById(SWITCHER_ID);
+    if (existing) {
+      bindSwitcher(existing);
+      return;
+    }
+    const nav = document.querySelector('.nav-links');
+    if (!nav) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-lang';
+
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.htmlFor = SWITCHER_ID;
+    label.setAttribute(I18N_ATTR, 'nav.language');
+    label.textContent = 'Language';
+
+    const select = document.createElement('select');
+    select.id = SWITCHER_ID;
+    select.className = 'lang-select';
+    select.setAttribute('translate', 'no'); // native language names stay as written
+    Object.keys(LOCALE_META).forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.dir = (LOCALE_META[code] && LOCALE_META[code].dir) || 'ltr';
+      option.textContent = (LOCALE_META[code] && LOCALE_META[code].name) || code;
+      select.appendChild(option);
+    });
+    select.value = document.documentElement.lang || 'en';
+    bindSwitcher(select);
+
+    item.appendChild(label);
+    item.appendChild(select);
+    nav.appendChild(item);
+  }
+
+  function bindSwitcher(select) {
+    select.addEventListener('change', () => {
+      const lang = select.value;
+      translate(lang).then(ok => {
+        if (!ok) {
+          if (select.value === lang) select.value = document.documentElement.lang || 'en';
+          return;
+        }
+        storeLang(lang);
+        syncQueryLang(lang);
+      });
+    });
+  }
+
+  // ---------- Translator edit mode (?i18n-edit) ----------
+  // Hovering a bound element shows its keys; clicking it opens an inline editor with the raw
+  // message of every key on the element. Each keystroke is previewed on the page (text through
+  // safeSet, attributes directly) and kept in memory only. The panel exports the changed keys
+  // of each locale as JSON in the locales/<code>.json format, ready to merge. No network.
+  const EDIT_FLAG = 'i18n-edit';
+  const EDIT_MODE_CLASS = 'i18n-edit-mode';
+  const EDITOR_UI_CLASS = 'i18n-editor-ui';
+  const BOUND_SELECTOR = [I18N_ATTR].concat(TRANSLATABLE_ATTRS.map(name => `${I18N_ATTR}-${name}`))
+    .map(attr => `[${attr}]`)
+    .join(', ');
+  const edits = {}; // lang -> { key: { original } } for every key changed in this session
+  let editMode = null;
+
+  function editModeRequested() {
+    try { return new URLSearchParams(window.location.search).has(EDIT_FLAG); } catch (e) { return false; }
+  }
+
+  // Keys bound on an element as [{ key, attr }]; attr is null for the text binding
+  function elementKeys(el) {
+    const keys = [];
+    if (el.hasAttribute(I18N_ATTR)) keys.push({ key: el.getAttribute(I18N_ATTR), attr: null });
+    TRANSLATABLE_ATTRS.forEach(name => {
+      const key = el.getAttribute(`${I18N_ATTR}-${name}`);
+      if (key) keys.push({ key, attr: name });
+    });
+    return keys;
+  }
+
+  function boundTarget(el) {
+    if (!el || !el.closest || el.closest(`.${EDITOR_UI_CLASS}`)) return null;
+    return el.closest(BOUND_SELECTOR);
+  }
+
+  // The message as written in the locale (falling back to English), before formatting
+  function rawMessage(lang, key) {
+    if (hasOwn(TRANSLATIONS[lang], key) && TRANSLATIONS[lang][key] !== undefined) return TRANSLATIONS[lang][key];
+    return hasOwn(TRANSLATIONS.en, key) ? TRANSLATIONS.en[key] : undefined;
+  }
+
+  // Render one key everywhere it is bound on the page; throws if the message does not format
+  function previewKey(key, value) {
+    const context = currentContext;
+    const clean = sanitizeDict({ [key]: value })[key];
+    const quoted = JSON.stringify(key);
+    withObserverPaused(() => {
+      document.querySelectorAll(`[${I18N_ATTR}=${quoted}]`).forEach(el => {
+        bindElement(el, clean, elementVars(el, pageVars()), context.formatLang);
+      });
+      TRANSLATABLE_ATTRS.forEach(name => {
+        document.querySelectorAll(`[${I18N_ATTR}-${name}=${quoted}]`).forEach(el => {
+          if (typeof clean === 'string') el.setAttribute(name, formatMessage(clean, elementVars(el, pageVars()), context.formatLang));
+        });
+      });
+    });
+  }
+
+  function recordEdit(lang, key, value) {
+    const dict = TRANSLATIONS[lang];
+    const changed = edits[lang] || (edits[lang] = {});
+    if (!changed[key]) changed[key] = { original: dict[key] };
+    const { original } = changed[key];
+    if (JSON.stringify(value) !== JSON.stringify(original)) {
+      dict[key] = value;
+      return;
+    }
+    delete changed[key];
+    if (original === undefined) delete dict[key];
+    else dict[key] = original;
+  }
+
+  function exportEdits(lang) {
+    const diff = {};
+    Object.keys(edits[lang] || {}).forEach(key => { diff[key] = TRANSLATIONS[lang][key]; });
+    const json = JSON.stringify(diff, null, 2) + '\n';
+    console.info(`[i18n] ${lang} edits:\n${json}`);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${lang}.diff.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  function startEditMode() {
+    const ui = (tag, className) => {
+      const el = document.createElement(tag);
+      el.className = `${className} ${EDITOR_UI_CLASS}`;
+      el.setAttribute('translate', 'no');
+      return el;
+    };
+    const button = (label, onClick) => {
+      const el = document.createElement('button');
+      el.type = onClick ? 'button' : 'submit';
+      el.textContent = label;
+      if (onClick) el.addEventListener('click', onClick);
+      return el;
+    };
+    // Below the element when it fits, otherwise above it; always inside the viewport
+    const placeNear = (box, el) => {
+      const rect = el.getBoundingClientRect();
+      const below = rect.bottom + 6;
+      const top = below + box.offsetHeight > window.innerHeight ? rect.top - box.offsetHeight - 6 : below;
+      box.style.top = `${Math.max(8, top)}px`;
+      box.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - box.offsetWidth - 8))}px`;
+    };
+
+    document.documentElement.classList.add(EDIT_MODE_CLASS);
+    const tip = ui('div', 'i18n-editor-tip');
+    tip.hidden = true;
+    const panel = ui('div', 'i18n-editor-panel');
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Translation edits');
+    document.body.append(tip, panel);
+    let editor = null;
+
+    function renderPanel() {
+      panel.textContent = '';
+      const title = document.createElement('strong');
+      title.textContent = currentLang ? `Edit mode · ${currentLang}` : 'Edit mode';
+      panel.appendChild(title);
+
+      const note = document.createElement('p');
+      panel.appendChild(note);
+      if (currentLang === PSEUDO_LOCALE) note.textContent = 'Pseudo-locale strings are generated and cannot be edited.';
+      else note.textContent = 'Click outlined text to edit it.';
+
+      Object.keys(edits).forEach(lang => {
+        const count = Object.keys(edits[lang]).length;
+        if (!count) return;
+        const row = document.createElement('p');
+        row.textContent = `${lang}: ${count} change${count === 1 ? '' : 's'} `;
+        row.appendChild(button('Export', () => exportEdits(lang)));
+        panel.appendChild(row);
+      });
+    }
+
+    // Closing re-applies the edited dictionary to the whole page (and to later content)
+    function closeEditor() {
+      if (!editor) return;
+      const { form, lang } = editor;
+      editor = null;
+      form.remove();
+      if (currentLang === lang) applyTranslations(lang);
+    }
+
+    function openEditor(el) {
+      closeEditor();
+      const lang = currentLang;
+      if (!lang || lang === PSEUDO_LOCALE) return;
+
+      // One field per key, even when it is bound to several attributes (aria-label and title)
+      const bindings = new Map();
+      elementKeys(el).forEach(({ key, attr }) => {
+        if (!bindings.has(key)) bindings.set(key, []);
+        bindings.get(key).push(attr || 'text');
+      });
+
+      const form = ui('form', 'i18n-editor');
+      form.setAttribute('aria-label', 'Edit translation');
+      bindings.forEach((targets, key) => {
+        const raw = rawMessage(lang, key);
+        const isArray = Array.isArray(raw);
+        const label = document.createElement('label');
+        const name = document.createElement('span');
+        name.textContent = targets[0] === 'text' && targets.length === 1 ? key : `${key} (${targets.join(', ')})`;
+        const field = document.createElement('textarea');
+        field.value = isArray ? raw.join('\n') : (raw || '');
+        field.rows = Math.min(8, field.value.split('\n').length + 1);
+        const error = document.createElement('span');
+        error.className = 'i18n-editor-error';
+        error.setAttribute('role', 'alert');
+
+        field.addEventListener('input', () => {
+          const value = isArray ? field.value.split('\n') : field.value;
+          try {
+            previewKey(key, value);
+          } catch (e) {
+            error.textContent = e.message;
+            return;
+          }
+          error.textContent = '';
+          recordEdit(lang, key, value);
+          renderPanel();
+        });
+        label.append(name, field, error);
+        form.appendChild(label);
+      });
+      form.appendChild(button('Done'));
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        closeEditor();
+      });
+
+      document.body.appendChild(form);
+      editor = { form, lang };
+      placeNear(form, el);
+      const first = form.querySelector('textarea');
+      if (first) first.focus();
+    }
+
+    document.addEventListener('mouseover', e => {
+      const el = boundTarget(e.target);
+      if (!el) {
+        tip.hidden = true;
+        return;
+      }
+      tip.textContent = elementKeys(el).map(({ key, attr }) => (attr ? `${attr}: ${key}` : key)).join('\n');
+      tip.hidden = false;
+      placeNear(tip, el);
+    });
+
+    // Capture phase, so links and buttons on the page do not act while being edited
+    document.addEventListener('click', e => {
+      if (e.target.closest && e.target.closest(`.${EDITOR_UI_CLASS}`)) return;
+      const el = boundTarget(e.target);
+      if (!el) {
+        closeEditor();
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      openEditor(el);
+    }, true);
+
+    document.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeEditor();
+    });
+
+    renderPanel();
+    // Called after every translation pass: an open editor belongs to the previous pass
+    return {
+      sync() {
+        closeEditor();
+        renderPanel();
+      }
+    };
   }
 
   // ---------- initialize ----------
-  const userLang = primaryLang();
-  let applied = applyTranslations(userLang);
-  if (!applied) {
-    const full = (navigator.languages && navigator.languages[0]) || navigator.language || '';
-    const major = String(full).toLowerCase().split('-')[0];
-    if (major && major !== userLang) applied = applyTranslations(major);
+  renderSwitcher();
+  let negotiation = negotiate([
+    { tag: queryLang(), reason: 'query' },
+    { tag: storedLang(), reason: 'stored' },
+    { tag: pageLang(), reason: 'page' }
+  ].concat(browserLangs().map(tag => ({ tag, reason: 'browser' }))));
+
+  if (queryLang() === PSEUDO_LOCALE) {
+    negotiation = { locale: PSEUDO_LOCALE, reason: 'query', requested: PSEUDO_LOCALE, match: 'exact' };
   }
 
+  if (negotiation.locale === 'en') applyTranslations('en');
+  else {
+    translate(negotiation.locale).then(ok => {
+      if (ok || currentLang) return; // applied, or the visitor already picked another language
+      negotiation = { locale: 'en', reason: 'load-failed', requested: negotiation.requested, match: null };
+      applyTranslations('en');
+    });
+  }
+
+  if (editModeRequested()) editMode = startEditMode();
+
   // Public API
   window.SnapBoostI18n = {
-    translate: applyTranslations,
+    translate,
+    negotiate,
+    // Current language code ('en', 'fr', 'pseudo', ...), or null before the first pass
+    getLanguage: () => currentLang,
+    t,
+    availableLanguages,
+    // subscribe(fn) calls fn({ lang, previous, dir }) on every change and returns an unsubscribe function
+    subscribe,
+    unsubscribe,
+    format: (message, vars, lang) => formatMessage(message, vars, lang || document.documentElement.lang),
+    // How the initial locale was picked: reason is 'query', 'page', 'stored', 'browser',
+    // 'default' or 'load-failed'; match is 'exact' or 'fallback' (lookup dropped subtags)
+    get negotiation() { return Object.assign({}, negotiation); },
     translations: TRANSLATIONS,
+    locales: LOCALE_META,
     wrapEmojis: () => wrapEmojiSpans(document.body)
   };
 
@@ -1,294 +1,1098 @@
         // Main JavaScript - Intersection Observer & Animations
-        document.addEventListener('DOMContentLoaded', function() {
-            // Smooth scrolling for navigation links
-            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                anchor.addEventListener('click', function (e) {
-                    e.preventDefault();
-                    const target = document.querySelector(this.getAttribute('href'));
-                    if (target) {
-                        target.scrollIntoView({
-                            behavior: 'smooth',
-                            block: 'start'
-                        });
+        // Every behavior is a module on window.SnapBoost with init(options) and destroy().
+        // SnapBoost.init(options) starts them all on DOMContentLoaded (options are read from
+        // window.SnapBoostConfig when it exists); SnapBoost.destroy() removes every listener,
+        // observer, timer and injected <style> again. Per-module options go under the module
+        // name, and false turns a module off:
+        //   SnapBoost.destroy();
+        //   SnapBoost.init({ particles: false, tilt: { max: 15 }, counters: { duration: 800 } });
+        (function () {
+            const modules = {};
+            const order = [];
+            let started = false;
+
+            // Collects everything a module sets up so destroy() can undo it, last in first out
+            function createScope() {
+                const cleanups = [];
+                return {
+                    listen(target, type, listener, options) {
+                        target.addEventListener(type, listener, options);
+                        cleanups.push(() => target.removeEventListener(type, listener, options));
+                    },
+                    observe(observer) {
+                        cleanups.push(() => observer.disconnect());
+                        return observer;
+                    },
+                    timeout(callback, delay) {
+                        const id = setTimeout(callback, delay);
+                        cleanups.push(() => clearTimeout(id));
+                        return id;
+                    },
+                    interval(callback, delay) {
+                        const id = setInterval(callback, delay);
+                        cleanups.push(() => clearInterval(id));
+                        return id;
+                    },
+                    style(css) {
+                        const style = document.createElement('style');
+                        style.textContent = css;
+                        document.head.appendChild(style);
+                        cleanups.push(() => style.remove());
+                        return style;
+                    },
+                    add(cleanup) {
+                        cleanups.push(cleanup);
+                    },
+                    dispose() {
+                        while (cleanups.length) {
+                            try { cleanups.pop()(); } catch (e) { console.error('[SnapBoost] cleanup failed', e); }
+                        }
+                    }
+                };
+            }
+
+            // setup(options, scope) wires the behavior up; everything it registers goes through scope
+            function defineModule(name, defaults, setup) {
+                let scope = null;
+                const module = {
+                    name,
+                    defaults,
+                    options: null,
+                    get active() { return scope !== null; },
+                    init(options) {
+                        module.destroy();
+                        module.options = Object.assign({}, defaults, options);
+                        scope = createScope();
+                        try {
+                            setup(module.options, scope);
+                        } catch (e) {
+                            module.destroy();
+                            throw e;
+                        }
+                        return module;
+                    },
+                    destroy() {
+                        if (scope) {
+                            const current = scope;
+                            scope = null;
+                            current.dispose();
+                        }
+                        return module;
                     }
+                };
+                modules[name] = module;
+                order.push(name);
+                return module;
+            }
+
+            // Motion policy consulted by every effect below.
+            // 'full' runs everything; 'reduced' drops decorative motion (particles, parallax, tilt,
+            // ripple, looping CSS animations, the hero video) and shows final counter values;
+            // 'off' also stops transitions. Follows prefers-reduced-motion and Save-Data, drops to
+            // 'off' while the tab is hidden, and a choice made in the footer is stored locally.
+            const MOTION_KEY = 'snapboost.motion';
+            const MOTION_LEVELS = ['off', 'reduced', 'full'];
+            const motionListeners = new Set();
+            let motionLevel = 'full'; // without the motion module everything runs
+
+            function storedMotion() {
+                try {
+                    const value = localStorage.getItem(MOTION_KEY);
+                    return MOTION_LEVELS.includes(value) ? value : null;
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // True when the current profile is at least `level`
+            function motionAllows(level) {
+                return MOTION_LEVELS.indexOf(motionLevel) >= MOTION_LEVELS.indexOf(level);
+            }
+
+            // Calls listener now and on every change; the subscription ends with the scope
+            function onMotionChange(scope, listener) {
+                motionListeners.add(listener);
+                scope.add(() => motionListeners.delete(listener));
+                listener(motionLevel);
+            }
+
+            // Scroll scheduler: one passive scroll listener that runs subscribers at most once per
+            // animation frame. Every subscriber's read(state) runs before any write(state, read
+            // result), so layout is never forced between style changes. throttle (ms) lets an
+            // effect skip frames; a skipped effect still gets a frame after scrolling stops.
+            const scrollSubscribers = new Set();
+            let scrollFrame = 0;
+
+            function requestScrollFrame() {
+                if (!scrollFrame) scrollFrame = requestAnimationFrame(runScrollFrame);
+            }
+
+            function runScrollFrame(now) {
+                scrollFrame = 0;
+                const state = { scrollY: window.scrollY, viewportHeight: window.innerHeight };
+                const due = [];
+                let deferred = false;
+                scrollSubscribers.forEach(subscriber => {
+                    if (now - subscriber.lastRun < subscriber.throttle) {
+                        deferred = true;
+                    } else {
+                        subscriber.lastRun = now;
+                        due.push(subscriber);
+                    }
+                });
+                const reads = due.map(subscriber => (subscriber.read ? subscriber.read(state) : undefined));
+                due.forEach((subscriber, i) => {
+                    if (subscriber.write) subscriber.write(state, reads[i]);
+                });
+                if (deferred) requestScrollFrame();
+            }
+
+            // Returns an unsubscribe function; the current position is applied on the next frame
+            function subscribeScroll({ read, write, throttle = 0 }) {
+                const subscriber = { read, write, throttle, lastRun: -Infinity };
+                if (!scrollSubscribers.size) window.addEventListener('scroll', requestScrollFrame, { passive: true });
+                scrollSubscribers.add(subscriber);
+                requestScrollFrame();
+                return () => {
+                    if (!scrollSubscribers.delete(subscriber) || scrollSubscribers.size) return;
+                    window.removeEventListener('scroll', requestScrollFrame, { passive: true });
+                    cancelAnimationFrame(scrollFrame);
+                    scrollFrame = 0;
+                };
+            }
+
+            function onScrollFrame(scope, subscriber) {
+                scope.add(subscribeScroll(subscriber));
+            }
+
+            defineModule('motion', { select: '#motion-select' }, (options, scope) => {
+                const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+                function systemMotion() {
+                    const connection = navigator.connection;
+                    if (reducedMotionQuery.matches || (connection && connection.saveData)) return 'reduced';
+                    return 'full';
+                }
+
+                function updateMotion() {
+                    const level = document.hidden ? 'off' : (storedMotion() || systemMotion());
+                    if (level === motionLevel && document.documentElement.hasAttribute('data-motion')) return;
+                    motionLevel = level;
+                    document.documentElement.setAttribute('data-motion', level);
+                    motionListeners.forEach(listener => listener(level));
+                }
+
+                updateMotion();
+                scope.add(() => {
+                    motionLevel = 'full';
+                    document.documentElement.removeAttribute('data-motion');
+                });
+                scope.listen(reducedMotionQuery, 'change', updateMotion);
+                if (navigator.connection) scope.listen(navigator.connection, 'change', updateMotion);
+                scope.listen(document, 'visibilitychange', updateMotion);
+                scope.listen(window, 'storage', (e) => {
+                    if (e.key === MOTION_KEY) updateMotion();
                 });
+
+                // Footer override: auto follows the system, anything else is stored
+                const motionSelect = document.querySelector(options.select);
+                if (motionSelect) {
+                    motionSelect.value = storedMotion() || 'auto';
+                    scope.listen(motionSelect, 'change', () => {
+                        try {
+                            if (motionSelect.value === 'auto') localStorage.removeItem(MOTION_KEY);
+                            else localStorage.setItem(MOTION_KEY, motionSelect.value);
+                        } catch (e) {}
+                        updateMotion();
+                    });
+                }
             });
 
-            // Intersection Observer for reveal animations
-            const observerOptions = {
-                threshold: 0.1,
-                rootMargin: '0px 0px -50px 0px'
-            };
+            // Hero background video only plays with full motion
+            defineModule('heroVideo', { selector: '.bg-video' }, (options, scope) => {
+                document.querySelectorAll(options.selector).forEach(video => {
+                    onMotionChange(scope, level => {
+                        if (level === 'full') {
+                            const playing = video.play();
+                            if (playing) playing.catch(() => {});
+                        } else {
+                            video.pause();
+                        }
+                    });
+                });
+            });
 
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('revealed');
+            // In-page navigation. Same-page links scroll the target below the fixed header (CSS
+            // scroll-padding-top follows --header-offset, kept equal to the header height), push
+            // the hash to history and move focus to the target for screen-reader users. A hash in
+            // the initial URL and back/forward (popstate) are handled the same way. Scrollspy marks
+            // the nav link of the section in view with aria-current="location".
+            defineModule('navigation', {
+                links: 'a[href^="#"]',
+                nav: '.nav-links',
+                header: '#header',
+                spyMargin: '-20% 0px -60% 0px'
+            }, (options, scope) => {
+                const root = document.documentElement;
+                const header = document.querySelector(options.header);
+
+                function targetOf(hash) {
+                    if (!hash || hash === '#') return null;
+                    try {
+                        return document.getElementById(decodeURIComponent(hash.slice(1)));
+                    } catch (e) {
+                        return null;
                     }
+                }
+
+                function goTo(target, smooth) {
+                    target.scrollIntoView({
+                        behavior: smooth && motionAllows('full') ? 'smooth' : 'auto',
+                        block: 'start'
+                    });
+                    if (!target.hasAttribute('tabindex') && !target.matches('a[href], button, input, select, textarea')) {
+                        target.setAttribute('tabindex', '-1');
+                    }
+                    target.focus({ preventScroll: true });
+                }
+
+                if (header) {
+                    const setOffset = () => root.style.setProperty('--header-offset', `${header.offsetHeight}px`);
+                    setOffset();
+                    if (typeof ResizeObserver === 'function') scope.observe(new ResizeObserver(setOffset)).observe(header);
+                    else scope.listen(window, 'resize', setOffset);
+                    scope.add(() => root.style.removeProperty('--header-offset'));
+                }
+
+                // Delegated, so links added later work too; modified clicks keep their browser meaning
+                scope.listen(document, 'click', (e) => {
+                    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                    const link = e.target.closest(options.links);
+                    if (!link) return;
+                    const hash = link.getAttribute('href');
+                    const target = targetOf(hash);
+                    if (!target) return;
+                    e.preventDefault();
+                    if (window.location.hash !== hash) history.pushState(null, '', hash);
+                    goTo(target, true);
+                });
+
+                // Entries without a hash keep the scroll position the browser restores
+                scope.listen(window, 'popstate', () => {
+                    const target = targetOf(window.location.hash);
+                    if (target) goTo(target, false);
                 });
-            }, observerOptions);
 
-            // Observe all reveal elements
-            document.querySelectorAll('.reveal-element').forEach(el => {
-                observer.observe(el);
+                const initial = targetOf(window.location.hash);
+                if (initial) goTo(initial, false);
+
+                // Scrollspy: the first nav section inside the band keeps its link current
+                const nav = document.querySelector(options.nav);
+                if (!nav || typeof IntersectionObserver !== 'function') return;
+                const spyLinks = new Map(); // section -> nav link
+                nav.querySelectorAll('a[href^="#"]').forEach(link => {
+                    const section = targetOf(link.getAttribute('href'));
+                    if (section) spyLinks.set(section, link);
+                });
+                const inView = new Set();
+
+                function setCurrent(current) {
+                    spyLinks.forEach(link => {
+                        if (link === current) link.setAttribute('aria-current', 'location');
+                        else link.removeAttribute('aria-current');
+                    });
+                }
+
+                const spy = scope.observe(new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) inView.add(entry.target);
+                        else inView.delete(entry.target);
+                    });
+                    const section = Array.from(spyLinks.keys()).find(candidate => inView.has(candidate));
+                    if (section) setCurrent(spyLinks.get(section));
+                }, { rootMargin: options.spyMargin }));
+                spyLinks.forEach((link, section) => spy.observe(section));
+                scope.add(() => setCurrent(null));
             });
 
-            // Counter animation for achievements
-            const counterObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        animateCounter(entry.target);
-                        counterObserver.unobserve(entry.target);
+            // Scroll-triggered reveals, declared in the markup:
+            //   data-reveal="up|down|start|end|zoom|fade"  where the element comes from (empty = up)
+            //   data-reveal-delay="200"                   extra delay in ms
+            //   data-reveal-stagger="120" (on a parent)   delay step between its data-reveal children
+            //   data-reveal-threshold="0.4"               visible fraction that triggers the reveal
+            //   data-reveal-repeat                        hide again on leaving instead of revealing once
+            // Elements are only hidden while <html> has reveal-pending (set by the inline script in
+            // <head> when IntersectionObserver exists) or reveal-active (set here), so content stays
+            // visible without JS, and one-shot elements are unobserved once revealed.
+            defineModule('reveal', {
+                selector: '[data-reveal]',
+                className: 'revealed',
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            }, (options, scope) => {
+                const root = document.documentElement;
+                root.classList.remove('reveal-pending');
+                if (typeof IntersectionObserver !== 'function') return;
+
+                const elements = Array.from(document.querySelectorAll(options.selector));
+                const groups = new Map(); // threshold -> { observer, pending }
+                const delays = new Map(); // element -> reveal delay in ms
+
+                // The delay belongs to the reveal only; later transitions (hover) start at once
+                function setDelay(el) {
+                    if (delays.has(el)) el.style.setProperty('--reveal-delay', `${delays.get(el)}ms`);
+                }
+
+                function groupFor(threshold) {
+                    if (groups.has(threshold)) return groups.get(threshold);
+                    const group = { pending: 0 };
+                    group.observer = scope.observe(new IntersectionObserver((entries) => {
+                        entries.forEach(entry => {
+                            const el = entry.target;
+                            const repeat = el.hasAttribute('data-reveal-repeat');
+                            if (entry.isIntersecting) {
+                                el.classList.add(options.className);
+                                // No transition runs (and ends) with motion off
+                                if (!motionAllows('reduced')) el.style.removeProperty('--reveal-delay');
+                                if (repeat) return;
+                                group.observer.unobserve(el);
+                                if (--group.pending === 0) group.observer.disconnect();
+                            } else if (repeat) {
+                                el.classList.remove(options.className);
+                                setDelay(el);
+                            }
+                        });
+                    }, { threshold, rootMargin: options.rootMargin }));
+                    groups.set(threshold, group);
+                    return group;
+                }
+
+                function delayOf(el) {
+                    let delay = parseFloat(el.getAttribute('data-reveal-delay')) || 0;
+                    const parent = el.parentElement;
+                    const stagger = parent ? parseFloat(parent.getAttribute('data-reveal-stagger')) : 0;
+                    if (stagger > 0) {
+                        const siblings = Array.from(parent.children).filter(child => child.matches(options.selector));
+                        delay += siblings.indexOf(el) * stagger;
+                    }
+                    return delay;
+                }
+
+                elements.forEach(el => {
+                    const delay = delayOf(el);
+                    if (delay > 0) {
+                        delays.set(el, delay);
+                        setDelay(el);
+                        scope.listen(el, 'transitionend', (e) => {
+                            if (e.target === el && el.classList.contains(options.className)) el.style.removeProperty('--reveal-delay');
+                        });
                     }
+                    const threshold = parseFloat(el.getAttribute('data-reveal-threshold'));
+                    const group = groupFor(threshold >= 0 && threshold <= 1 ? threshold : options.threshold);
+                    group.pending++;
+                    group.observer.observe(el);
                 });
-            }, { threshold: 0.5 });
+                root.classList.add('reveal-active');
 
-            document.querySelectorAll('.achievement-number').forEach(counter => {
-                counterObserver.observe(counter);
+                // Anything not revealed yet becomes visible again when the module is destroyed
+                scope.add(() => {
+                    root.classList.remove('reveal-active');
+                    elements.forEach(el => el.style.removeProperty('--reveal-delay'));
+                });
             });
 
-            function animateCounter(element) {
-                const target = parseInt(element.getAttribute('data-target'));
-                const duration = 2000;
-                const increment = target / (duration / 16);
-                let current = 0;
-
-                const timer = setInterval(() => {
-                    current += increment;
-                    if (current >= target) {
-                        current = target;
-                        clearInterval(timer);
-                    }
-                    element.textContent = Math.floor(current).toLocaleString();
-                }, 16);
+            // Locale-aware number formatting shared by counters and stats.
+            // Follows <html lang> (set by language.js) rather than the browser locale.
+            // data-format="compact" -> 1K, data-format="percent" -> target is a whole percentage,
+            // data-decimals fixes the fraction digits (default: as many as data-target has),
+            // data-prefix / data-suffix are added around the formatted number (e.g. "+").
+            function counterDecimals(element) {
+                const decimals = parseInt(element.getAttribute('data-decimals'), 10);
+                if (decimals >= 0) return Math.min(decimals, 20);
+                return ((element.getAttribute('data-target') || '').split('.')[1] || '').length;
             }
 
-            // 3D tilt effect for service cards
-            document.querySelectorAll('.tilt-card').forEach(card => {
-                card.style.willChange = 'transform';
-                card.addEventListener('mousemove', handleTilt);
-                card.addEventListener('mouseleave', resetTilt);
-            });
+            // Formatters are built once per language, format and decimals, not on every frame
+            const counterFormats = new Map();
 
-            function handleTilt(e) {
-                const card = e.currentTarget;
-                const rect = card.getBoundingClientRect();
-                const x = e.clientX - rect.left;
-                const y = e.clientY - rect.top;
-                const centerX = rect.width / 2;
-                const centerY = rect.height / 2;
-                const rotateX = (y - centerY) / 10;
-                const rotateY = (centerX - x) / 10;
-
-                card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(10px)`;
+            function counterFormat(lang, format, decimals) {
+                const key = `${lang}|${format}|${decimals}`;
+                if (!counterFormats.has(key)) {
+                    const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+                    let options = digits;
+                    if (format === 'percent') options = { style: 'percent', ...digits };
+                    else if (format === 'compact') options = { notation: 'compact', maximumFractionDigits: decimals };
+                    counterFormats.set(key, new Intl.NumberFormat(lang || undefined, options));
+                }
+                return counterFormats.get(key);
             }
 
-            function resetTilt(e) {
-                e.currentTarget.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) translateZ(0px)';
+            function formatCounter(element, value) {
+                const format = element.getAttribute('data-format');
+                const formatted = counterFormat(document.documentElement.lang, format, counterDecimals(element))
+                    .format(format === 'percent' ? value / 100 : value);
+                return (element.getAttribute('data-prefix') || '') + formatted + (element.getAttribute('data-suffix') || '');
             }
 
-            // Header scroll effect
-            let lastScrollY = window.scrollY;
-            window.addEventListener('scroll', () => {
-                const header = document.getElementById('header');
-                const currentScrollY = window.scrollY;
+            // Easing curves for data-easing, t in [0, 1]
+            const EASINGS = {
+                linear: t => t,
+                'ease-in': t => t * t * t,
+                'ease-out': t => 1 - Math.pow(1 - t, 3),
+                'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+                'ease-out-expo': t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+            };
+
+            // Counters for achievements and stats, counted from data-start (default 0) to
+            // data-target once they scroll into view. data-duration (ms) and data-easing override
+            // the module options per element. All running counters share one animation frame,
+            // which the browser pauses in background tabs. Without full motion the final value is
+            // shown at once. Screen readers get the final value as the aria-label of a role="img"
+            // element, so the intermediate numbers are never announced.
+            defineModule('counters', {
+                selector: '.achievement-number[data-target], .stat-number[data-target]',
+                duration: 2000,
+                easing: 'ease-out',
+                threshold: 0.5
+            }, (options, scope) => {
+                const counterValues = new Map();
+                const running = new Map(); // element -> { from, to, duration, ease, start }
+                let frame = 0;
 
-                if (currentScrollY > 100) {
-                    header.style.background = 'rgba(26, 26, 29, 0.3)';
-                    header.style.boxShadow = '0 10px 30px rgba(0, 0, 0, 0.3)';
-                } else {
-                    header.style.background = 'rgba(26, 26, 29, 0.326)';
-                    header.style.boxShadow = 'none';
+                const targetOf = element => parseFloat(element.getAttribute('data-target')) || 0;
+
+                function renderCounter(element, value) {
+                    counterValues.set(element, value);
+                    element.textContent = formatCounter(element, value);
                 }
 
-                // Hide/show header on scroll
-                if (currentScrollY > lastScrollY && currentScrollY > 200) {
-                    header.style.transform = 'translateY(-100%)';
-                } else {
-                    header.style.transform = 'translateY(0)';
+                function labelCounter(element) {
+                    element.setAttribute('role', 'img');
+                    element.setAttribute('aria-label', formatCounter(element, targetOf(element)));
                 }
-                lastScrollY = currentScrollY;
-            });
 
-            // Mobile menu toggle
-            const mobileToggle = document.querySelector('.mobile-menu-toggle');
-            const navLinks = document.querySelector('.nav-links');
+                function tick(now) {
+                    frame = 0;
+                    running.forEach((run, element) => {
+                        if (run.start === null) run.start = now;
+                        const progress = run.duration > 0 ? Math.min((now - run.start) / run.duration, 1) : 1;
+                        renderCounter(element, run.from + (run.to - run.from) * run.ease(progress));
+                        if (progress === 1) running.delete(element);
+                    });
+                    if (running.size) frame = requestAnimationFrame(tick);
+                }
 
-            if (mobileToggle && navLinks) {
-                mobileToggle.addEventListener('click', () => {
-                    navLinks.classList.toggle('active');
-                    mobileToggle.classList.toggle('active');
+                function finishAll() {
+                    running.forEach((run, element) => renderCounter(element, run.to));
+                    running.clear();
+                    if (frame) cancelAnimationFrame(frame);
+                    frame = 0;
+                }
+
+                function animateCounter(element) {
+                    const to = targetOf(element);
+                    if (!motionAllows('full')) {
+                        renderCounter(element, to);
+                        return;
+                    }
+                    const duration = parseFloat(element.getAttribute('data-duration'));
+                    running.set(element, {
+                        from: parseFloat(element.getAttribute('data-start')) || 0,
+                        to,
+                        duration: duration >= 0 ? duration : options.duration,
+                        ease: EASINGS[element.getAttribute('data-easing')] || EASINGS[options.easing] || EASINGS.linear,
+                        start: null
+                    });
+                    if (!frame) frame = requestAnimationFrame(tick);
+                }
+
+                // Without IntersectionObserver nothing would start the count: show final values
+                const observing = typeof IntersectionObserver === 'function';
+                const counterObserver = observing && scope.observe(new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            animateCounter(entry.target);
+                            counterObserver.unobserve(entry.target);
+                        }
+                    });
+                }, { threshold: options.threshold }));
+
+                document.querySelectorAll(options.selector).forEach(counter => {
+                    labelCounter(counter);
+                    // Without full motion the final value the markup shows is kept
+                    if (observing && motionAllows('full')) renderCounter(counter, parseFloat(counter.getAttribute('data-start')) || 0);
+                    else renderCounter(counter, targetOf(counter));
+                    if (observing) counterObserver.observe(counter);
                 });
+
+                // A counter still running when motion drops jumps to its final value
+                onMotionChange(scope, () => {
+                    if (!motionAllows('full')) finishAll();
+                });
+
+                // Re-render counters and their labels in the new locale when language.js switches language
+                scope.listen(document, 'languagechange', () => {
+                    counterValues.forEach((value, element) => {
+                        renderCounter(element, value);
+                        labelCounter(element);
+                    });
+                });
+
+                // Leave the final numbers in place rather than a half-counted value
+                scope.add(() => {
+                    running.clear();
+                    if (frame) cancelAnimationFrame(frame);
+                    counterValues.forEach((value, element) => {
+                        element.textContent = formatCounter(element, targetOf(element));
+                        element.removeAttribute('role');
+                        element.removeAttribute('aria-label');
+                    });
+                });
+            });
+
+            // 1 for left-to-right pages, -1 when language.js switches to a right-to-left locale
+            function inlineDirection() {
+                return document.documentElement.dir === 'rtl' ? -1 : 1;
             }
 
-            // Particle animation for hero background
-            createParticles();
-
-            function createParticles() {
-                const hero = document.querySelector('.hero-section');
-                const particleCount = 20;
-
-                for (let i = 0; i < particleCount; i++) {
-                    const particle = document.createElement('div');
-                    particle.className = 'particle';
-                    particle.style.cssText = `
-                        position: absolute;
-                        width: 4px;
-                        height: 4px;
-                        background: rgba(255, 252, 0, 0.3);
-                        border-radius: 50%;
-                        pointer-events: none;
-                        animation: particleFloat ${5 + Math.random() * 10}s linear infinite;
-                        left: ${Math.random() * 100}%;
-                        top: ${Math.random() * 100}%;
-                        animation-delay: ${Math.random() * 5}s;
-                    `;
-                    hero.appendChild(particle);
+            // 3D tilt cards. Each .tilt-card can override the module options with data attributes:
+            //   data-tilt-max="10"            maximum rotation in degrees
+            //   data-tilt-perspective="1000"  perspective in px
+            //   data-tilt-scale="1.03"        scale while tilted
+            //   data-tilt-reverse             tilt away from the pointer instead of towards it
+            //   data-tilt-glare="0.3"         adds a glare layer; the value is its maximum opacity
+            //   data-tilt-gyroscope           follows device orientation (phones, tablets); opt-in
+            //                                 only, off unless this or options.gyroscope is set
+            // Pointer, focus and device orientation only record an input; one animation frame reads
+            // the card rects, then writes transforms. Keyboard tilt comes from :focus-within, so it
+            // only applies to cards with interactive content (the card tilts towards the focused
+            // element); cards are not made focusable just for the effect.
+            // Without input the inline transform is dropped and CSS eases the card back.
+            defineModule('tilt', {
+                selector: '.tilt-card',
+                max: 10,
+                perspective: 1000,
+                scale: 1.03,
+                glare: 0.3,
+                gyroscope: false,
+                gyroscopeRange: 30 // degrees of device rotation for a full tilt
+            }, (options, scope) => {
+                let frame = 0;
+                let gyro = null; // latest device orientation as a pose
+                let gyroBase = null; // the first reading is the neutral position
+                let active = true;
+
+                function readConfig(el) {
+                    const number = (name, fallback) => {
+                        const value = parseFloat(el.getAttribute(name));
+                        return Number.isFinite(value) ? value : fallback;
+                    };
+                    return {
+                        max: number('data-tilt-max', options.max),
+                        perspective: number('data-tilt-perspective', options.perspective),
+                        scale: number('data-tilt-scale', options.scale),
+                        reverse: el.hasAttribute('data-tilt-reverse') ? -1 : 1,
+                        glare: el.hasAttribute('data-tilt-glare') ? number('data-tilt-glare', options.glare) : 0,
+                        gyroscope: el.hasAttribute('data-tilt-gyroscope') || options.gyroscope
+                    };
                 }
-            }
 
-            // Add particle animation keyframes
-            const style = document.createElement('style');
-            style.textContent = `
-                @keyframes particleFloat {
-                    0% {
-                        transform: translateY(100vh) translateX(0);
-                        opacity: 0;
+                const clamp = value => Math.max(-1, Math.min(1, value));
+
+                const cards = Array.from(document.querySelectorAll(options.selector), el => {
+                    const card = { el, config: readConfig(el), input: null, glare: null, tilted: false, onScreen: true };
+                    if (card.config.glare > 0) {
+                        card.glare = document.createElement('span');
+                        card.glare.className = 'tilt-glare';
+                        card.glare.setAttribute('aria-hidden', 'true');
+                        el.appendChild(card.glare);
                     }
-                    10% {
-                        opacity: 1;
+                    return card;
+                });
+
+                // Pose of a card as x, y in -1..1 from its center, or null for no tilt
+                function poseOf(card) {
+                    const { el, input } = card;
+                    if (input && input.element && !el.matches(':focus-within')) card.input = null;
+                    if (!card.input) return gyro && card.config.gyroscope && card.onScreen ? gyro : null;
+                    let x = input.clientX;
+                    let y = input.clientY;
+                    if (input.element) {
+                        const target = input.element.getBoundingClientRect();
+                        x = target.left + target.width / 2;
+                        y = target.top + target.height / 2;
                     }
-                    90% {
-                        opacity: 1;
+                    const rect = el.getBoundingClientRect();
+                    if (!rect.width || !rect.height) return null;
+                    return {
+                        x: clamp(((x - rect.left) / rect.width) * 2 - 1),
+                        y: clamp(((y - rect.top) / rect.height) * 2 - 1)
+                    };
+                }
+
+                function applyPose(card, pose) {
+                    const { el, config, glare } = card;
+                    if (!pose) {
+                        if (!card.tilted) return;
+                        card.tilted = false;
+                        el.classList.replace('is-tilting', 'is-settling');
+                        el.style.transform = '';
+                        if (glare) glare.style.opacity = '';
+                        return;
                     }
-                    100% {
-                        transform: translateY(-100vh) translateX(${Math.random() * 200 - 100}px);
-                        opacity: 0;
+                    card.tilted = true;
+                    el.classList.remove('is-settling');
+                    el.classList.add('is-tilting');
+                    const rotateX = pose.y * config.max * config.reverse;
+                    const rotateY = -pose.x * config.max * config.reverse;
+                    el.style.transform = `perspective(${config.perspective}px) rotateX(${rotateX.toFixed(2)}deg) rotateY(${rotateY.toFixed(2)}deg) scale(${config.scale})`;
+                    if (glare) {
+                        glare.style.setProperty('--glare-x', `${((pose.x + 1) * 50).toFixed(1)}%`);
+                        glare.style.setProperty('--glare-y', `${((pose.y + 1) * 50).toFixed(1)}%`);
+                        glare.style.opacity = (config.glare * (0.4 + 0.6 * Math.min(1, Math.hypot(pose.x, pose.y)))).toFixed(3);
                     }
                 }
 
-                .nav-links.active {
-                    display: flex;
-                    position: absolute;
-                    top: 100%;
-                    left: 0;
-                    right: 0;
-                    background: rgba(26, 26, 29, 0.95);
-                    backdrop-filter: blur(20px);
-                    flex-direction: column;
-                    padding: 2rem;
-                    border-radius: 0 0 20px 20px;
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                    border-top: none;
+                function render() {
+                    frame = 0;
+                    const poses = cards.map(poseOf);
+                    cards.forEach((card, i) => applyPose(card, poses[i]));
                 }
 
-                .mobile-menu-toggle.active span:nth-child(1) {
-                    transform: rotate(45deg) translate(5px, 5px);
+                function schedule() {
+                    if (!frame) frame = requestAnimationFrame(render);
                 }
 
-                .mobile-menu-toggle.active span:nth-child(2) {
-                    opacity: 0;
+                cards.forEach(card => {
+                    const { el } = card;
+                    const release = () => {
+                        card.input = el.matches(':focus-within') && motionAllows('full') ? { element: document.activeElement } : null;
+                        schedule();
+                    };
+                    scope.listen(el, 'pointermove', (e) => {
+                        if (!motionAllows('full')) return;
+                        card.input = { clientX: e.clientX, clientY: e.clientY };
+                        schedule();
+                    });
+                    scope.listen(el, 'pointerleave', release);
+                    scope.listen(el, 'pointercancel', release); // touch scrolling took over
+                    scope.listen(el, 'focusin', (e) => {
+                        if (!motionAllows('full') || (card.input && !card.input.element)) return;
+                        card.input = { element: e.target };
+                        schedule();
+                    });
+                    scope.listen(el, 'focusout', schedule);
+                    scope.listen(el, 'transitionend', (e) => {
+                        if (e.target === el && e.propertyName === 'transform') el.classList.remove('is-settling');
+                    });
+                });
+
+                const gyroCards = cards.filter(card => card.config.gyroscope);
+                if (gyroCards.length && typeof DeviceOrientationEvent !== 'undefined') {
+                    // Orientation only re-renders cards that are on screen
+                    if (typeof IntersectionObserver === 'function') {
+                        const visibility = scope.observe(new IntersectionObserver((entries) => {
+                            entries.forEach(entry => {
+                                const card = gyroCards.find(candidate => candidate.el === entry.target);
+                                if (card) card.onScreen = entry.isIntersecting;
+                            });
+                            schedule();
+                        }));
+                        gyroCards.forEach(card => visibility.observe(card.el));
+                    }
+                    const onOrientation = (e) => {
+                        if (e.beta === null || e.gamma === null || !motionAllows('full')) return;
+                        if (!gyroBase) gyroBase = { beta: e.beta, gamma: e.gamma };
+                        gyro = {
+                            x: clamp((e.gamma - gyroBase.gamma) / options.gyroscopeRange),
+                            y: clamp((e.beta - gyroBase.beta) / options.gyroscopeRange)
+                        };
+                        if (gyroCards.some(card => card.onScreen)) schedule();
+                    };
+                    // iOS only grants orientation events from a user gesture, so ask on the first tap on a card
+                    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                        const ask = () => {
+                            DeviceOrientationEvent.requestPermission().then(state => {
+                                if (state === 'granted' && active) scope.listen(window, 'deviceorientation', onOrientation);
+                            }).catch(() => {});
+                        };
+                        gyroCards.forEach(card => scope.listen(card.el, 'click', ask, { once: true }));
+                    } else {
+                        scope.listen(window, 'deviceorientation', onOrientation);
+                    }
+                }
+
+                onMotionChange(scope, level => {
+                    if (level === 'full') return;
+                    cards.forEach(card => { card.input = null; });
+                    gyro = null;
+                    gyroBase = null;
+                    render();
+                });
+
+                scope.add(() => {
+                    active = false;
+                    if (frame) cancelAnimationFrame(frame);
+                    cards.forEach(({ el, glare }) => {
+                        el.classList.remove('is-tilting', 'is-settling');
+                        el.style.transform = '';
+                        if (glare) glare.remove();
+                    });
+                });
+            });
+
+            // Header scroll effect; styles are only written when the header changes state
+            defineModule('header', { selector: '#header', solidAfter: 100, hideAfter: 200, throttle: 0 }, (options, scope) => {
+                const header = document.querySelector(options.selector);
+                if (!header) return;
+                let lastScrollY = window.scrollY;
+                let solid = null;
+                let hidden = null;
+
+                onScrollFrame(scope, {
+                    throttle: options.throttle,
+                    write({ scrollY }) {
+                        const isSolid = scrollY > options.solidAfter;
+                        if (isSolid !== solid) {
+                            solid = isSolid;
+                            header.style.background = isSolid ? 'rgba(26, 26, 29, 0.3)' : 'rgba(26, 26, 29, 0.326)';
+                            header.style.boxShadow = isSolid ? '0 10px 30px rgba(0, 0, 0, 0.3)' : 'none';
+                        }
+
+                        // Hide/show header on scroll
+                        const isHidden = scrollY > lastScrollY && scrollY > options.hideAfter;
+                        if (isHidden !== hidden) {
+                            hidden = isHidden;
+                            header.style.transform = isHidden ? 'translateY(-100%)' : 'translateY(0)';
+                        }
+                        lastScrollY = scrollY;
+                    }
+                });
+
+                scope.add(() => {
+                    header.style.background = '';
+                    header.style.boxShadow = '';
+                    header.style.transform = '';
+                });
+            });
+
+            // Mobile menu: a disclosure button (aria-expanded / aria-controls) for the nav links.
+            // Opening moves focus to the first link; Escape, an outside click, following a link
+            // or widening the window past the breakpoint closes it, and focus returns to the
+            // button when it was inside the menu.
+            defineModule('mobileMenu', {
+                toggle: '.mobile-menu-toggle',
+                menu: '.nav-links',
+                desktop: '(min-width: 769px)'
+            }, (options, scope) => {
+                const mobileToggle = document.querySelector(options.toggle);
+                const navLinks = document.querySelector(options.menu);
+                if (!mobileToggle || !navLinks) return;
+
+                if (!navLinks.id) navLinks.id = 'primary-nav';
+                mobileToggle.setAttribute('aria-controls', navLinks.id);
+                mobileToggle.setAttribute('aria-expanded', 'false');
+
+                const isOpen = () => navLinks.classList.contains('active');
+                const focusable = () => navLinks.querySelectorAll('a[href], button, select, input, [tabindex]:not([tabindex="-1"])');
+
+                function open() {
+                    navLinks.classList.add('active');
+                    mobileToggle.setAttribute('aria-expanded', 'true');
+                    const first = focusable()[0];
+                    if (first) first.focus();
                 }
 
-                .mobile-menu-toggle.active span:nth-child(3) {
-                    transform: rotate(-45deg) translate(7px, -6px);
+                // restoreFocus: true always returns focus to the button, false never moves it,
+                // and by default it only returns when focus would be lost inside the hidden menu
+                function close(restoreFocus) {
+                    if (!isOpen()) return;
+                    const focusWasInside = navLinks.contains(document.activeElement);
+                    navLinks.classList.remove('active');
+                    mobileToggle.setAttribute('aria-expanded', 'false');
+                    if (restoreFocus === true || (restoreFocus === undefined && focusWasInside)) mobileToggle.focus();
                 }
 
-                @media (min-width: 769px) {
-                    .nav-links {
-                        display: flex !important;
+                scope.listen(mobileToggle, 'click', () => {
+                    if (isOpen()) close(true);
+                    else open();
+                });
+
+                scope.listen(document, 'keydown', (e) => {
+                    if (e.key === 'Escape' && isOpen()) {
+                        e.preventDefault();
+                        close(true);
                     }
+                });
+
+                scope.listen(document, 'click', (e) => {
+                    if (isOpen() && !navLinks.contains(e.target) && !mobileToggle.contains(e.target)) close();
+                });
+
+                // Following a link (same-page or not) closes the menu
+                scope.listen(navLinks, 'click', (e) => {
+                    if (e.target.closest('a[href]')) close(false);
+                });
+
+                // Tabbing out of the menu closes it without pulling focus back
+                scope.listen(navLinks, 'focusout', (e) => {
+                    const next = e.relatedTarget;
+                    if (next && !navLinks.contains(next) && next !== mobileToggle) close(false);
+                });
+
+                const desktopQuery = window.matchMedia(options.desktop);
+                scope.listen(desktopQuery, 'change', () => {
+                    if (desktopQuery.matches) close(false);
+                });
+
+                scope.add(() => {
+                    navLinks.classList.remove('active');
+                    mobileToggle.setAttribute('aria-expanded', 'false');
+                });
+            });
+
+            // Particle animation for hero background: one canvas behind the hero content.
+            // density is particles per million CSS pixels of hero area, speed is the mean rise in
+            // CSS px per second and drift the largest sideways speed. Particles drift along the
+            // reading direction: rightwards in left-to-right locales, leftwards in RTL. Animation
+            // pauses while the hero is off-screen or the tab is hidden; with reduced or no motion
+            // the particles are drawn once as static dots.
+            defineModule('particles', {
+                container: '.hero-section',
+                density: 16,
+                maxParticles: 80,
+                color: 'rgba(255, 252, 0, 0.3)',
+                radius: 2,
+                speed: 120,
+                drift: 12
+            }, (options, scope) => {
+                const hero = document.querySelector(options.container);
+                if (!hero) return;
+
+                const canvas = document.createElement('canvas');
+                canvas.className = 'hero-particles';
+                canvas.setAttribute('aria-hidden', 'true');
+                hero.insertBefore(canvas, hero.firstChild);
+                scope.add(() => canvas.remove());
+                const context = canvas.getContext('2d');
+                if (!context) return;
+
+                let width = 0;
+                let height = 0;
+                let particles = [];
+                let onScreen = true;
+                let frame = 0;
+                let lastTime = 0;
+
+                function spawn(particle, anywhere) {
+                    particle.x = Math.random() * width;
+                    particle.y = anywhere ? Math.random() * height : height + options.radius;
+                    particle.vy = -options.speed * (0.5 + Math.random());
+                    particle.vx = options.drift * (0.25 + 0.75 * Math.random()); // along the inline direction
+                    return particle;
                 }
-            `;
-            document.head.appendChild(style);
 
-            // Scroll-triggered animations for floating elements
-            window.addEventListener('scroll', () => {
-                const scrolled = window.pageYOffset;
-                const rate = scrolled * -0.5;
+                function resize() {
+                    const rect = hero.getBoundingClientRect();
+                    const ratio = window.devicePixelRatio || 1;
+                    width = rect.width;
+                    height = rect.height;
+                    canvas.width = Math.round(width * ratio);
+                    canvas.height = Math.round(height * ratio);
+                    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+                    const count = Math.min(options.maxParticles, Math.round(width * height / 1e6 * options.density));
+                    particles = particles.slice(0, count);
+                    while (particles.length < count) particles.push(spawn({}, true));
+                    draw();
+                }
+
+                // Fade in over the bottom tenth of the hero and out over the top tenth
+                function draw() {
+                    context.clearRect(0, 0, width, height);
+                    context.fillStyle = options.color;
+                    const fade = height * 0.1;
+                    const moving = motionAllows('full');
+                    particles.forEach(particle => {
+                        context.globalAlpha = moving ? Math.max(0, Math.min(1, particle.y / fade, (height - particle.y) / fade)) : 1;
+                        context.beginPath();
+                        context.arc(particle.x, particle.y, options.radius, 0, Math.PI * 2);
+                        context.fill();
+                    });
+                    context.globalAlpha = 1;
+                }
 
-                document.querySelectorAll('.floating-emoji').forEach((emoji, index) => {
-                    const speed = (index + 1) * 0.3;
-                    emoji.style.transform = `translateY(${rate * speed}px) rotate(${scrolled * 0.1}deg)`;
+                function tick(now) {
+                    frame = 0;
+                    const elapsed = Math.min(0.05, (now - lastTime) / 1000); // no jump after a pause
+                    lastTime = now;
+                    const direction = inlineDirection();
+                    particles.forEach(particle => {
+                        particle.y += particle.vy * elapsed;
+                        particle.x += particle.vx * direction * elapsed;
+                        // Drifting out of one side comes back in on the other
+                        if (particle.x > width + options.radius) particle.x = -options.radius;
+                        else if (particle.x < -options.radius) particle.x = width + options.radius;
+                        if (particle.y < -options.radius) spawn(particle, false);
+                    });
+                    draw();
+                    update();
+                }
+
+                // Runs only while the hero is visible, the tab is shown and motion is full
+                function update() {
+                    const running = onScreen && !document.hidden && motionAllows('full');
+                    if (running && !frame) {
+                        if (!lastTime) lastTime = performance.now();
+                        frame = requestAnimationFrame(tick);
+                    } else if (!running) {
+                        if (frame) cancelAnimationFrame(frame);
+                        frame = 0;
+                        lastTime = 0;
+                        draw();
+                    }
+                }
+                scope.add(() => {
+                    if (frame) cancelAnimationFrame(frame);
+                    frame = 0;
                 });
+
+                if (typeof ResizeObserver === 'function') {
+                    scope.observe(new ResizeObserver(resize)).observe(hero);
+                } else {
+                    scope.listen(window, 'resize', resize);
+                }
+                // Without IntersectionObserver the hero counts as always on screen
+                if (typeof IntersectionObserver === 'function') {
+                    scope.observe(new IntersectionObserver((entries) => {
+                        onScreen = entries[entries.length - 1].isIntersecting;
+                        update();
+                    })).observe(hero);
+                }
+                scope.listen(document, 'visibilitychange', update);
+
+                resize();
+                onMotionChange(scope, update);
             });
 
-            // Enhanced button interactions
-            document.querySelectorAll('.btn-primary').forEach(btn => {
-                btn.addEventListener('click', function(e) {
-                    // Create ripple effect
-                    const ripple = document.createElement('span');
-                    const rect = this.getBoundingClientRect();
-                    const size = Math.max(rect.width, rect.height);
-                    const x = e.clientX - rect.left - size / 2;
-                    const y = e.clientY - rect.top - size / 2;
-
-                    ripple.style.cssText = `
-                        position: absolute;
-                        width: ${size}px;
-                        height: ${size}px;
-                        left: ${x}px;
-                        top: ${y}px;
-                        background: rgba(255, 255, 255, 0.4);
-                        border-radius: 50%;
-                        transform: scale(0);
-                        animation: ripple 0.6s linear;
-                        pointer-events: none;
-                    `;
-
-                    this.style.position = 'relative';
-                    this.style.overflow = 'hidden';
-                    this.appendChild(ripple);
-
-                    setTimeout(() => {
-                        ripple.remove();
-                    }, 600);
+            // Scroll-triggered animations for floating elements
+            defineModule('parallax', { selector: '.floating-emoji', rate: -0.5, speed: 0.3, rotation: 0.1, throttle: 0 }, (options, scope) => {
+                const emojis = document.querySelectorAll(options.selector);
+                const reset = () => emojis.forEach(emoji => { emoji.style.transform = ''; });
+
+                onMotionChange(scope, level => {
+                    if (level !== 'full') reset();
                 });
+
+                onScrollFrame(scope, {
+                    throttle: options.throttle,
+                    write({ scrollY }) {
+                        if (!motionAllows('full')) return;
+                        const rate = scrollY * options.rate;
+
+                        emojis.forEach((emoji, index) => {
+                            const speed = (index + 1) * options.speed;
+                            emoji.style.transform = `translateY(${rate * speed}px) rotate(${scrollY * options.rotation}deg)`;
+                        });
+                    }
+                });
+
+                scope.add(reset);
             });
 
-            // Add ripple animation
-            const rippleStyle = document.createElement('style');
-            rippleStyle.textContent = `
-                @keyframes ripple {
-                    to {
-                        transform: scale(4);
-                        opacity: 0;
+            // Enhanced button interactions
+            defineModule('ripple', { selector: '.btn-primary', duration: 600 }, (options, scope) => {
+                // Add ripple animation
+                scope.style(`
+                    @keyframes ripple {
+                        to {
+                            transform: scale(4);
+                            opacity: 0;
+                        }
                     }
-                }
-            `;
-            document.head.appendChild(rippleStyle);
+                `);
 
-            // Performance optimization: Throttle scroll events
-            let ticking = false;
+                const ripples = new Set();
+                document.querySelectorAll(options.selector).forEach(btn => {
+                    scope.listen(btn, 'click', function(e) {
+                        if (!motionAllows('full')) return;
+                        // Create ripple effect
+                        const ripple = document.createElement('span');
+                        const rect = this.getBoundingClientRect();
+                        const size = Math.max(rect.width, rect.height);
+                        const x = e.clientX - rect.left - size / 2;
+                        const y = e.clientY - rect.top - size / 2;
 
-            function requestTick() {
-                if (!ticking) {
-                    requestAnimationFrame(updateAnimations);
-                    ticking = true;
-                }
-            }
+                        ripple.style.cssText = `
+                            position: absolute;
+                            width: ${size}px;
+                            height: ${size}px;
+                            left: ${x}px;
+                            top: ${y}px;
+                            background: rgba(255, 255, 255, 0.4);
+                            border-radius: 50%;
+                            transform: scale(0);
+                            animation: ripple ${options.duration / 1000}s linear;
+                            pointer-events: none;
+                        `;
 
-            function updateAnimations() {
-                // Update scroll-based animations here
-                ticking = false;
-            }
+                        this.style.position = 'relative';
+                        this.style.overflow = 'hidden';
+                        this.appendChild(ripple);
+                        ripples.add(ripple);
+
+                        scope.timeout(() => {
+                            ripple.remove();
+                            ripples.delete(ripple);
+                        }, options.duration);
+                    });
+                });
 
-            window.addEventListener('scroll', requestTick);
+                scope.add(() => ripples.forEach(ripple => ripple.remove()));
+            });
 
             // Preload critical images
-            const criticalImages = [
-                '/assets/logo.svg',
-                '/assets/about.avif'
-            ];
-
-            criticalImages.forEach(src => {
-                const img = new Image();
-                img.src = src;
+            defineModule('preload', { images: ['/assets/logo.svg', '/assets/about.avif'] }, (options) => {
+                options.images.forEach(src => {
+                    const img = new Image();
+                    img.src = src;
+                });
             });
 
-            console.log('🚀 SnapBoost landing page loaded successfully!');
-        });
+            // options: { <module>: false | { ...module options } }; modules start in definition order
+            function init(options = {}) {
+                destroy();
+                order.forEach(name => {
+                    const moduleOptions = options[name];
+                    if (moduleOptions === false) return;
+                    try {
+                        modules[name].init(moduleOptions === true ? {} : moduleOptions);
+                    } catch (e) {
+                        console.error(`[SnapBoost] ${name} failed to start`, e);
+                    }
+                });
+                started = true;
+                return window.SnapBoost;
+            }
+
+            function destroy() {
+                order.slice().reverse().forEach(name => modules[name].destroy());
+                started = false;
+                return window.SnapBoost;
+            }
+
+            window.SnapBoost = {
+                init,
+                destroy,
+                modules,
+                // onScroll({ read, write, throttle }) joins the shared scroll scheduler; returns unsubscribe
+                onScroll: subscribeScroll,
+                get started() { return started; }
+            };
+
+            document.addEventListener('DOMContentLoaded', function() {
+                if (window.SnapBoostConfig !== false) init(window.SnapBoostConfig || {});
+                console.log('🚀 SnapBoost landing page loaded successfully!');
+            });
+        })();
 
-        
-        // Graceful degradation for no-JS users
-        document.documentElement.classList.add('js-enabled');
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/*
+ * scripts/check-locale-loading.js
+ *
+ * Checks how js/language.js handles locale bundles that fail to load, against the real
+ * static server (scripts/serve.js) on a temporary site on 127.0.0.1:
+ * - a missing bundle (HTTP 404), a bundle that is not JSON and one with invalid values
+ *   make translate() resolve false, leave the page exactly as it was and log a warning
+ * - a failed load is not cached: once the bundle is fixed, the same locale loads
+ * - the server answers malformed, NUL-byte and traversal URLs with 400 / 403
+ *
+ * Usage:
+ *   node scripts/check-locale-loading.js
+ * Exits with status 1 when any check fails.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ROOT, loadPage } = require('./lib/page');
+const { createServer } = require('./serve');
+
+const errors = [];
+const check = (ok, text) => {
+  if (!ok) errors.push(text);
+};
+
+// Temporary site: a valid es bundle, broken fr and ar bundles, no de bundle at all
+function createSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapboost-locales-'));
+  fs.mkdirSync(path.join(dir, 'locales'));
+  fs.copyFileSync(path.join(ROOT, 'locales', 'es.json'), path.join(dir, 'locales', 'es.json'));
+  fs.writeFileSync(path.join(dir, 'locales', 'fr.json'), '{ "hero.title": "Bonjour", ');
+  fs.writeFileSync(path.join(dir, 'locales', 'ar.json'), JSON.stringify({ 'hero.title': 42 }));
+  return dir;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function checkFailedLoad(page, lang, expected) {
+  const before = page.document.documentElement.outerHTML;
+  const warnings = page.messages.length;
+  const ok = await page.i18n.translate(lang);
+  await settle();
+  check(ok === false, `${lang}: translate() resolved ${ok}, expected false`);
+  check(page.document.documentElement.outerHTML === before, `${lang}: the page changed after a failed load`);
+  check(page.i18n.getLanguage() === 'en', `${lang}: the language is "${page.i18n.getLanguage()}", expected "en"`);
+  const logged = page.messages.slice(warnings).map(m => m.text).join('\n');
+  check(expected.test(logged), `${lang}: expected a warning matching ${expected}, got "${logged}"`);
+}
+
+// http.get sends the path as written; fetch() would normalize %2e%2e away
+function statusOf(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+async function checkServer(port) {
+  const cases = [['/%E0', 400], ['/%00', 400], ['/%2e%2e/x', 403], ['/locales/de.json', 404], ['/locales/es.json', 200]];
+  for (const [urlPath, expected] of cases) {
+    const status = await statusOf(port, urlPath);
+    check(status === expected, `server: GET ${urlPath} answered ${status}, expected ${expected}`);
+  }
+}
+
+async function main() {
+  const dir = createSite();
+  const server = createServer(dir);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const base = `http://127.0.0.1:${port}/`;
+
+  try {
+    await checkServer(port);
+
+    const page = loadPage({ url: base, fetch: url => fetch(new URL(url, base)) });
+    await settle();
+    check(page.i18n.getLanguage() === 'en', 'the page did not start in English');
+
+    await checkFailedLoad(page, 'de', /HTTP 404/);
+    await checkFailedLoad(page, 'fr', /not valid JSON/);
+    await checkFailedLoad(page, 'ar', /invalid value/);
+
+    check(await page.i18n.translate('es') === true, 'es: a valid bundle from the server did not load');
+    check(page.document.documentElement.lang === 'es', 'es: <html lang> was not updated');
+
+    fs.writeFileSync(path.join(dir, 'locales', 'fr.json'), fs.readFileSync(path.join(ROOT, 'locales', 'fr.json')));
+    check(await page.i18n.translate('fr') === true, 'fr: a failed load was cached; the fixed bundle did not load');
+    page.window.close();
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  errors.forEach(e => console.error(`error    ${e}`));
+  console.log(`\n${errors.length} error(s) in locale loading checks`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/*
+ * scripts/check-message-format.js
+ *
+ * Behaviour check for the ICU message subset in js/language.js (SnapBoostI18n.format):
+ * plural with offset and =n, selectordinal, select, number styles, apostrophe quoting,
+ * locale-specific plural categories, syntax and variable errors, and keys that are
+ * Object.prototype member names (select values, locales, dictionary keys).
+ *
+ * Usage:
+ *   node scripts/check-message-format.js
+ * Exits with status 1 when any case fails.
+ */
+
+const { loadPage } = require('./lib/page');
+
+const GUESTS = '{n, plural, offset:1 =0 {nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}';
+const ORDINAL = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+const FILES_RU = '{n, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}';
+const PRONOUN = '{g, select, male {he} female {she} other {they}}';
+
+// [message, vars, lang, expected output]
+const OUTPUTS = [
+  [GUESTS, { n: 0, name: 'Ann' }, 'en', 'nobody'],
+  [GUESTS, { n: 1, name: 'Ann' }, 'en', 'Ann'],
+  [GUESTS, { n: 2, name: 'Ann' }, 'en', 'Ann and 1 other'],
+  [GUESTS, { n: 5, name: 'Ann' }, 'en', 'Ann and 4 others'],
+  [ORDINAL, { n: 1 }, 'en', '1st'],
+  [ORDINAL, { n: 22 }, 'en', '22nd'],
+  [ORDINAL, { n: 13 }, 'en', '13th'],
+  [FILES_RU, { n: 3 }, 'ru', '3 файла'],
+  [FILES_RU, { n: 5 }, 'ru', '5 файлов'],
+  ['{n, plural, zero {zero} one {one} other {other}}', { n: 0 }, 'ar', 'zero'],
+  ['{n, plural, one {# item} other {# items}}', { n: 1000 }, 'en', '1,000 items'],
+  ['{n, plural, one {# item} other {# items}}', { n: 1000 }, 'de', '1.000 items'],
+  ["It''s '{literal}' and '#' {n, plural, other {'#' is #}}", { n: 3 }, 'en', "It's {literal} and # # is 3"],
+  [PRONOUN, { g: 'female' }, 'en', 'she'],
+  [PRONOUN, { g: 'unknown' }, 'en', 'they'],
+  [PRONOUN, { g: 'toString' }, 'en', 'they'],
+  [PRONOUN, { g: 'constructor' }, 'en', 'they'],
+  [PRONOUN, { g: '__proto__' }, 'en', 'they'],
+  ['{n, number, percent}', { n: 0.25 }, 'en', '25%'],
+  ['{n, number, compact}', { n: 1500 }, 'en', '1.5K'],
+  ['{n, number, integer}', { n: 2.7 }, 'en', '3']
+];
+
+// [message, vars, expected error]
+const ERRORS = [
+  ['Hello {name}', {}, /undefined variable "name"/],
+  ['Hello {toString}', {}, /undefined variable "toString"/],
+  ['{n, plural, one {x}}', { n: 1 }, /needs an "other" option/],
+  ['{n, number, weird}', { n: 1 }, /Unknown number style "weird"/],
+  ['{n, foo, x {y}}', { n: 1 }, /Unknown argument type "foo"/],
+  ['Hello {name', { name: 'x' }, /Expected ","/],
+  ['a } b', {}, /Unexpected "}"/]
+];
+
+const errors = [];
+
+function checkOutputs(i18n) {
+  OUTPUTS.forEach(([message, vars, lang, expected]) => {
+    let actual;
+    try {
+      actual = i18n.format(message, vars, lang);
+    } catch (e) {
+      actual = `(threw: ${e.message})`;
+    }
+    if (actual !== expected) errors.push(`${message} with ${JSON.stringify(vars)} (${lang}): got "${actual}", expected "${expected}"`);
+  });
+}
+
+function checkErrors(i18n) {
+  ERRORS.forEach(([message, vars, expected]) => {
+    try {
+      const actual = i18n.format(message, vars, 'en');
+      errors.push(`${message}: formatted to "${actual}", expected an error matching ${expected}`);
+    } catch (e) {
+      if (!expected.test(e.message)) errors.push(`${message}: threw "${e.message}", expected ${expected}`);
+    }
+  });
+}
+
+// Locale codes and dictionary keys must not resolve to Object.prototype members either
+async function checkPrototypeNames(page) {
+  const { i18n, document } = page;
+  for (const name of ['constructor', 'toString', '__proto__']) {
+    if (await i18n.translate(name) !== false) errors.push(`translate("${name}") did not resolve false`);
+    if (document.documentElement.lang !== 'en') errors.push(`translate("${name}") set lang="${document.documentElement.lang}"`);
+    if (i18n.t(name) !== name) errors.push(`t("${name}") did not come back as the unknown key`);
+  }
+}
+
+async function main() {
+  const page = loadPage();
+  checkOutputs(page.i18n);
+  checkErrors(page.i18n);
+  await checkPrototypeNames(page);
+  page.window.close();
+
+  errors.forEach(e => console.error(`error    ${e}`));
+  console.log(`\n${errors.length} error(s) in ${OUTPUTS.length + ERRORS.length} message format cases`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/*
+ * scripts/check-negotiation.js
+ *
+ * Behaviour check for locale negotiation in js/language.js (SnapBoostI18n.negotiate):
+ * region and extension fallback (pt-PT -> pt, de-CH-x-foo -> de), underscores and case,
+ * script mismatches that must not match (zh-TW / zh-HK are Traditional, zh is Simplified),
+ * unsupported and empty tags, and the order of a preference list.
+ *
+ * Usage:
+ *   node scripts/check-negotiation.js
+ * Exits with status 1 when any case fails.
+ */
+
+const { loadPage } = require('./lib/page');
+
+// [preferences, expected { locale, reason, match }]
+const CASES = [
+  [['fr'], { locale: 'fr', reason: 'requested', match: 'exact' }],
+  [['fr-CA'], { locale: 'fr', reason: 'requested', match: 'fallback' }],
+  [['pt-PT'], { locale: 'pt', reason: 'requested', match: 'fallback' }],
+  [['pt_BR'], { locale: 'pt', reason: 'requested', match: 'fallback' }],
+  [['EN-gb'], { locale: 'en', reason: 'requested', match: 'fallback' }],
+  [['de-CH-x-foo'], { locale: 'de', reason: 'requested', match: 'fallback' }],
+  [['es-419'], { locale: 'es', reason: 'requested', match: 'fallback' }],
+  [['ar-EG'], { locale: 'ar', reason: 'requested', match: 'fallback' }],
+  [['zh-CN'], { locale: 'zh', reason: 'requested', match: 'fallback' }],
+  [['zh-Hans-HK'], { locale: 'zh', reason: 'requested', match: 'fallback' }],
+  [['zh-TW'], { locale: 'en', reason: 'default', match: null }],
+  [['zh-HK'], { locale: 'en', reason: 'default', match: null }],
+  [['zh-Hant'], { locale: 'en', reason: 'default', match: null }],
+  [['sr-Latn'], { locale: 'en', reason: 'default', match: null }],
+  [['xx'], { locale: 'en', reason: 'default', match: null }],
+  [['', null, 'not a tag!'], { locale: 'en', reason: 'default', match: null }],
+  [[], { locale: 'en', reason: 'default', match: null }],
+  [['zh-TW', 'fr-CA', 'de'], { locale: 'fr', reason: 'requested', match: 'fallback' }],
+  [[{ tag: 'xx', reason: 'query' }, { tag: 'de', reason: 'stored' }, { tag: 'fr', reason: 'browser' }], { locale: 'de', reason: 'stored', match: 'exact' }],
+  [[{ tag: null, reason: 'query' }, { tag: 'tr-TR', reason: 'browser' }], { locale: 'tr', reason: 'browser', match: 'fallback' }]
+];
+
+const errors = [];
+
+function main() {
+  const page = loadPage();
+  CASES.forEach(([prefs, expected]) => {
+    const result = page.i18n.negotiate(prefs);
+    const wrong = Object.keys(expected).filter(key => result[key] !== expected[key]);
+    if (wrong.length) errors.push(`${JSON.stringify(prefs)}: got ${JSON.stringify(result)}, expected ${JSON.stringify(expected)}`);
+  });
+  page.window.close();
+
+  errors.forEach(e => console.error(`error    ${e}`));
+  console.log(`\n${errors.length} error(s) in ${CASES.length} negotiation cases`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+main();
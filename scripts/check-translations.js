@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/*
+ * scripts/check-translations.js
+ *
+ * Translation coverage and consistency check, meant to gate releases.
+ * Loads index.html and js/language.js into jsdom (offline) and reports:
+ * - keys missing from a locale, or present in a locale but not in English
+ * - array values whose length differs from English (e.g. service3.features)
+ * - emoji inside strings (sanitizeDict strips them silently at runtime)
+ * - data-i18n bindings in index.html whose key is not in the English dictionary,
+ *   and array bindings with fewer elements than the array has items
+ * - messages that fail to format, and locale bundles that fail to load
+ * - visible text no translation key reaches (found through the ?lang=pseudo mode)
+ * Unused dictionary keys are reported as warnings.
+ *
+ * Usage:
+ *   node scripts/check-translations.js
+ * Exits with status 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPage } = require('./lib/page');
+
+// Same per-grapheme test sanitizeDict uses before stripping (© ® ™ are text, not emoji)
+const EMOJI_RE = /\p{Emoji_Presentation}|\uFE0F|\u20E3/u;
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const errors = [];
+const warnings = [];
+const error = (scope, text) => errors.push(`${scope}: ${text}`);
+const warn = (scope, text) => warnings.push(`${scope}: ${text}`);
+
+function readBundle(lang) {
+  const file = path.join(ROOT, 'locales', `${lang}.json`);
+  if (!fs.existsSync(file)) {
+    error(lang, `locales/${lang}.json is missing`);
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    error(lang, `locales/${lang}.json is not valid JSON (${e.message})`);
+    return null;
+  }
+}
+
+function checkEmoji(lang, dict) {
+  Object.keys(dict).forEach(key => {
+    const values = Array.isArray(dict[key]) ? dict[key] : [dict[key]];
+    values.forEach(value => {
+      const found = Array.from(segmenter.segment(String(value)), g => g.segment).filter(g => EMOJI_RE.test(g));
+      if (found.length) error(lang, `"${key}" contains emoji ${found.join(' ')} (stripped at runtime)`);
+    });
+  });
+}
+
+function checkKeys(lang, dict, english) {
+  Object.keys(english).forEach(key => {
+    if (!(key in dict)) {
+      error(lang, `missing key "${key}"`);
+      return;
+    }
+    const a = english[key];
+    const b = dict[key];
+    if (Array.isArray(a) !== Array.isArray(b)) error(lang, `"${key}" should be ${Array.isArray(a) ? 'an array' : 'a string'}`);
+    else if (Array.isArray(a) && a.length !== b.length) error(lang, `"${key}" has ${b.length} items, English has ${a.length}`);
+  });
+  Object.keys(dict).forEach(key => {
+    if (!(key in english)) error(lang, `extra key "${key}" (not in English)`);
+  });
+}
+
+// Every data-i18n / data-i18n-<attr> binding in the page (after language.js rendered its own)
+function boundKeys(document) {
+  const keys = new Map();
+  document.querySelectorAll('*').forEach(el => {
+    Array.from(el.attributes).forEach(attr => {
+      if (attr.name === 'data-i18n' || (/^data-i18n-/.test(attr.name) && !/^data-i18n-(vars|locale)$/.test(attr.name))) {
+        if (!keys.has(attr.value)) keys.set(attr.value, []);
+        keys.get(attr.value).push({ el, attr: attr.name });
+      }
+    });
+  });
+  return keys;
+}
+
+function checkBindings(english, bindings) {
+  bindings.forEach((uses, key) => {
+    if (!(key in english)) {
+      error('index.html', `data-i18n key "${key}" is not in the English dictionary`);
+      return;
+    }
+    const value = english[key];
+    uses.forEach(({ el, attr }) => {
+      if (!Array.isArray(value) || attr !== 'data-i18n' || el.tagName === 'UL' || el.tagName === 'OL') return;
+      if (el.children.length < value.length) {
+        error('index.html', `"${key}" has ${value.length} items but its element has ${el.children.length} children`);
+      }
+    });
+  });
+  Object.keys(english).forEach(key => {
+    if (!bindings.has(key) && !/^(ld|faq)\./.test(key)) warn('en', `key "${key}" is not bound anywhere in the page`);
+  });
+}
+
+async function checkRendering(locales) {
+  for (const lang of Object.keys(locales)) {
+    const page = loadPage({ pageLocale: lang });
+    const ok = await page.i18n.translate(lang);
+    if (!ok) error(lang, 'the page could not be translated');
+    page.messages.forEach(m => error(lang, m.text));
+    page.window.close();
+  }
+}
+
+async function checkUntranslated() {
+  const page = loadPage({ url: 'https://example.com/?lang=pseudo' });
+  await page.i18n.translate('pseudo');
+  page.document.querySelectorAll('.i18n-untranslated').forEach(el => {
+    const text = el.textContent.trim().replace(/\s+/g, ' ');
+    const where = el.id ? `#${el.id}` : `<${el.tagName.toLowerCase()}${el.className ? ` class="${el.className.replace(/\s*i18n-untranslated/, '')}"` : ''}>`;
+    error('index.html', `untranslated text in ${where}: "${text.slice(0, 60)}"`);
+  });
+  page.window.close();
+}
+
+async function main() {
+  const page = loadPage();
+  const english = page.i18n.translations.en;
+  const locales = page.i18n.locales;
+  const bindings = boundKeys(page.document);
+  page.window.close();
+
+  checkEmoji('en', english);
+  Object.keys(locales).forEach(lang => {
+    if (lang === 'en') return;
+    const dict = readBundle(lang);
+    if (!dict) return;
+    checkKeys(lang, dict, english);
+    checkEmoji(lang, dict);
+  });
+  fs.readdirSync(path.join(ROOT, 'locales')).forEach(file => {
+    const lang = path.basename(file, '.json');
+    if (!locales[lang]) warn(lang, `locales/${file} is not listed in LOCALE_META`);
+  });
+
+  checkBindings(english, bindings);
+  await checkRendering(locales);
+  await checkUntranslated();
+
+  warnings.forEach(w => console.warn(`warning  ${w}`));
+  errors.forEach(e => console.error(`error    ${e}`));
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s) across ${Object.keys(locales).length} locales`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.stack || err);
+  process.exit(1);
+});
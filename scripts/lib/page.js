@@ -0,0 +1,64 @@
+/*
+ * scripts/lib/page.js
+ *
+ * Shared helpers for the Node tooling: load index.html into jsdom and run js/language.js
+ * inside it, offline. Locale bundles are read from disk instead of being fetched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// language.js fetches locales/<lang>.json; serve those from disk instead of the network
+function localFetch(url) {
+  const file = path.join(ROOT, String(url).replace(/^(\.\.?\/)+/, ''));
+  return new Promise(resolve => {
+    fs.readFile(file, 'utf8', (err, text) => {
+      resolve({
+        ok: !err,
+        status: err ? 404 : 200,
+        json: () => Promise.resolve().then(() => JSON.parse(text))
+      });
+    });
+  });
+}
+
+/*
+ * Load a page and run language.js in it.
+ * options: { html, script, url, pageLocale, fetch } (fetch defaults to localFetch)
+ * Returns { dom, window, document, i18n, messages } where messages collects every
+ * console warning/error language.js reported as { level, text }.
+ */
+function loadPage(options = {}) {
+  const html = options.html || readSource('index.html');
+  const script = options.script || readSource('js/language.js');
+  const messages = [];
+
+  const virtualConsole = new VirtualConsole();
+  ['warn', 'error'].forEach(level => {
+    virtualConsole.on(level, (...args) => {
+      messages.push({ level, text: args.map(a => (a && a.message) || String(a)).join(' ') });
+    });
+  });
+
+  const dom = new JSDOM(html, {
+    url: options.url || 'https://example.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  window.fetch = options.fetch || localFetch;
+  if (options.pageLocale) window.document.documentElement.setAttribute('data-i18n-locale', options.pageLocale);
+  window.eval(script);
+
+  return { dom, window, document: window.document, i18n: window.SnapBoostI18n, messages };
+}
+
+module.exports = { ROOT, readSource, localFetch, loadPage };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/*
+ * scripts/prerender.js
+ *
+ * Static prerender of one HTML page per locale, so crawlers see every language.
+ * - Loads index.html into jsdom and runs js/language.js itself, so pages are translated
+ *   with exactly the same logic as applyTranslations in the browser
+ * - Writes <out>/index.html (English) and <out>/<lang>/index.html for every other locale,
+ *   each with lang/dir, canonical, og:url and cross-linked hreflang alternates
+ * - Writes <out>/sitemap.xml listing every page with its alternates
+ * - Copies assets/, css/, js/ and locales/ next to the pages
+ * - Clears the output directory first, but only one it wrote before (it holds a
+ *   .prerender-output marker); the repository and the source folders are refused
+ * Works entirely offline: locale bundles are read from disk, nothing is fetched.
+ *
+ * Usage:
+ *   node scripts/prerender.js [--out dist] [--base-url https://example.com/]
+ *   (the base URL defaults to <link rel="canonical"> in index.html)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, readSource, loadPage } = require('./lib/page');
+
+const STATIC_DIRS = ['assets', 'css', 'js', 'locales'];
+// Written into every output directory; only directories holding it are ever cleared
+const OUTPUT_MARKER = '.prerender-output';
+
+function parseArgs(argv) {
+  const args = { out: 'dist', baseUrl: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--base-url') args.baseUrl = argv[++i];
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  return args;
+}
+
+function pagePath(lang) {
+  return lang === 'en' ? '' : `${lang}/`;
+}
+
+function pageUrl(baseUrl, lang) {
+  return new URL(pagePath(lang), baseUrl).href;
+}
+
+// Relative asset URLs (css/styles.css, js/main.js) must climb out of /<lang>/
+function rebaseRelativeUrls(document, depth) {
+  if (!depth) return;
+  const prefix = '../'.repeat(depth);
+  document.querySelectorAll('[src], [href]').forEach(el => {
+    ['src', 'href'].forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (!value || /^([a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(value)) return;
+      el.setAttribute(attr, prefix + value);
+    });
+  });
+}
+
+function writeAlternates(document, locales, baseUrl) {
+  const head = document.head;
+  const existing = head.querySelectorAll('link[rel="alternate"][hreflang]');
+  const anchor = existing.length ? existing[0] : null;
+
+  const links = Object.keys(locales).map(code => ({ hreflang: code, href: pageUrl(baseUrl, code) }));
+  links.push({ hreflang: 'x-default', href: pageUrl(baseUrl, 'en') });
+
+  links.forEach(({ hreflang, href }) => {
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.hreflang = hreflang;
+    link.href = href;
+    if (anchor) head.insertBefore(link, anchor);
+    else head.appendChild(link);
+    head.insertBefore(document.createTextNode('\n  '), link.nextSibling);
+  });
+  existing.forEach(link => {
+    if (link.nextSibling && link.nextSibling.nodeType === 3) link.nextSibling.remove();
+    link.remove();
+  });
+}
+
+async function renderLocale(html, script, lang, baseUrl) {
+  const url = pageUrl(baseUrl, lang);
+  // The English root is also x-default: no page locale, so stored choices and browser languages apply
+  const pageLocale = lang === 'en' ? null : lang;
+  const { dom, window, document, i18n, messages } = loadPage({ html, script, url, pageLocale });
+
+  const ok = await i18n.translate(lang);
+  messages.forEach(m => console.warn(`  [${lang}] ${m.text}`));
+  if (!ok) throw new Error(`Could not translate the page to "${lang}"`);
+
+  const canonical = document.head.querySelector('link[rel="canonical"]');
+  if (canonical) canonical.href = url;
+  const ogUrl = document.head.querySelector('meta[property="og:url"]');
+  if (ogUrl) ogUrl.setAttribute('content', url);
+  writeAlternates(document, i18n.locales, baseUrl);
+  rebaseRelativeUrls(document, pagePath(lang).split('/').length - 1);
+
+  const output = dom.serialize();
+  window.close();
+  return { locales: i18n.locales, html: output };
+}
+
+function sitemap(locales, baseUrl) {
+  const codes = Object.keys(locales);
+  const lastmod = new Date().toISOString().slice(0, 10);
+  const alternates = codes
+    .map(code => `    <xhtml:link rel="alternate" hreflang="${code}" href="${pageUrl(baseUrl, code)}"/>`)
+    .concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="${pageUrl(baseUrl, 'en')}"/>`)
+    .join('\n');
+  const urls = codes.map(code => [
+    '  <url>',
+    `    <loc>${pageUrl(baseUrl, code)}</loc>`,
+    `    <lastmod>${lastmod}</lastmod>`,
+    alternates,
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+const isInside = (dir, parent) => {
+  const relative = path.relative(parent, dir);
+  return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+};
+
+// --out is deleted recursively, so it must not be (or hold) the sources, and must be ours
+function checkOutDir(outDir) {
+  if (isInside(ROOT, outDir)) throw new Error(`Refusing to write to ${outDir}: it contains the repository`);
+  const source = STATIC_DIRS.find(dir => isInside(outDir, path.join(ROOT, dir)));
+  if (source) throw new Error(`Refusing to write to ${outDir}: it is inside the ${source}/ sources`);
+  if (!fs.existsSync(outDir)) return;
+  if (!fs.statSync(outDir).isDirectory()) throw new Error(`Refusing to write to ${outDir}: it is not a directory`);
+  if (fs.readdirSync(outDir).length && !fs.existsSync(path.join(outDir, OUTPUT_MARKER))) {
+    throw new Error(`Refusing to clear ${outDir}: it was not written by this script (no ${OUTPUT_MARKER}); delete it first`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const outDir = path.resolve(ROOT, args.out);
+  checkOutDir(outDir);
+  const html = readSource('index.html');
+  const script = readSource('js/language.js');
+
+  const canonical = /<link rel="canonical" href="([^"]+)"/.exec(html);
+  const baseUrl = new URL(args.baseUrl || (canonical && canonical[1]) || 'https://example.com/').href;
+
+  // English first: it also tells us which locales exist
+  const english = await renderLocale(html, script, 'en', baseUrl);
+  const pages = { en: english.html };
+  for (const lang of Object.keys(english.locales)) {
+    if (lang !== 'en') pages[lang] = (await renderLocale(html, script, lang, baseUrl)).html;
+  }
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, OUTPUT_MARKER), '');
+  Object.keys(pages).forEach(lang => {
+    const file = path.join(outDir, pagePath(lang), 'index.html');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, pages[lang]);
+    console.log(`  ${path.relative(ROOT, file)}`);
+  });
+  fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap(english.locales, baseUrl));
+  console.log(`  ${path.relative(ROOT, path.join(outDir, 'sitemap.xml'))}`);
+
+  STATIC_DIRS.forEach(dir => {
+    fs.cpSync(path.join(ROOT, dir), path.join(outDir, dir), { recursive: true });
+  });
+  console.log(`Prerendered ${Object.keys(pages).length} locales into ${path.relative(ROOT, outDir) || '.'}`);
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/*
+ * scripts/scroll-benchmark.js
+ *
+ * Scripted scroll benchmark for js/main.js. Loads index.html and main.js into jsdom, scrolls
+ * the page down and back up with several scroll events per animation frame (like a trackpad
+ * or a high-rate wheel), and reports the time spent in scroll handlers and animation frames
+ * plus the number of inline style writes. jsdom does no layout, so the numbers measure script
+ * work, not paint; compare runs on the same machine.
+ *
+ * Usage:
+ *   node scripts/scroll-benchmark.js [--main js/main.js] [--frames 240] [--events-per-frame 4]
+ * To compare with an older version:
+ *   git show <commit>:js/main.js > /tmp/main.old.js
+ *   node scripts/scroll-benchmark.js --main /tmp/main.old.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT, readSource } = require('./lib/page');
+
+function parseArgs(argv) {
+  const args = { main: 'js/main.js', frames: 240, eventsPerFrame: 4 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--main') args.main = argv[++i];
+    else if (argv[i] === '--frames') args.frames = Number(argv[++i]);
+    else if (argv[i] === '--events-per-frame') args.eventsPerFrame = Number(argv[++i]);
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  return args;
+}
+
+// jsdom lacks matchMedia, IntersectionObserver and media playback; stub what main.js touches
+function stubBrowserApis(window) {
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+  window.HTMLMediaElement.prototype.pause = () => {};
+}
+
+async function run(args) {
+  const script = fs.readFileSync(path.resolve(ROOT, args.main), 'utf8');
+  const dom = new JSDOM(readSource('index.html'), {
+    url: 'https://example.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  const { document } = window;
+  stubBrowserApis(window);
+
+  let scrollY = 0;
+  Object.defineProperty(window, 'scrollY', { get: () => scrollY, configurable: true });
+  Object.defineProperty(window, 'pageYOffset', { get: () => scrollY, configurable: true });
+
+  // Time every animation frame callback the page schedules
+  let frameTime = 0;
+  let frameCallbacks = 0;
+  const nativeRaf = window.requestAnimationFrame.bind(window);
+  window.requestAnimationFrame = callback => nativeRaf(now => {
+    const start = performance.now();
+    callback(now);
+    frameTime += performance.now() - start;
+    frameCallbacks++;
+  });
+  const nextFrame = () => new Promise(resolve => nativeRaf(resolve));
+
+  window.eval(script);
+  document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await nextFrame();
+  await nextFrame();
+
+  let styleWrites = 0;
+  const observer = new window.MutationObserver(records => { styleWrites += records.length; });
+  observer.observe(document.body, { attributes: true, attributeFilter: ['style'], subtree: true });
+  frameTime = 0;
+  frameCallbacks = 0;
+
+  // Down to 5000px and back up, the same distance per event throughout
+  const maxScroll = 5000;
+  const half = Math.floor(args.frames / 2);
+  const step = maxScroll / (half * args.eventsPerFrame);
+  let eventTime = 0;
+  let events = 0;
+  for (let frame = 0; frame < args.frames; frame++) {
+    const direction = frame < half ? 1 : -1;
+    const start = performance.now();
+    for (let i = 0; i < args.eventsPerFrame; i++) {
+      scrollY = Math.max(0, Math.min(maxScroll, scrollY + direction * step));
+      window.dispatchEvent(new window.Event('scroll'));
+      events++;
+    }
+    eventTime += performance.now() - start;
+    await nextFrame();
+  }
+  await nextFrame();
+  await nextFrame();
+  styleWrites += observer.takeRecords().length;
+  observer.disconnect();
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  window.close();
+  return { events, eventTime, frameTime, frameCallbacks, styleWrites };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const result = await run(args);
+  const total = result.eventTime + result.frameTime;
+  console.log(`main script:           ${args.main}`);
+  console.log(`frames scrolled:       ${args.frames} (${args.eventsPerFrame} scroll events per frame)`);
+  console.log(`scroll events:         ${result.events}`);
+  console.log(`time in scroll events: ${result.eventTime.toFixed(1)} ms`);
+  console.log(`time in rAF callbacks: ${result.frameTime.toFixed(1)} ms (${result.frameCallbacks} callbacks)`);
+  console.log(`total script time:     ${total.toFixed(1)} ms (${(total / args.frames).toFixed(3)} ms per frame)`);
+  console.log(`inline style writes:   ${result.styleWrites}`);
+}
+
+main().catch(err => {
+  console.error(err.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/*
+ * scripts/serve.js
+ *
+ * Minimal static file server for local testing (no dependencies).
+ * Locale bundles are loaded with fetch(), which does not work over file://.
+ *
+ * Usage:
+ *   node scripts/serve.js [port]     (default port 8080, or $PORT)
+ * As a module, createServer(root) returns an unstarted server for another directory
+ * (scripts/check-locale-loading.js serves broken locale bundles with it).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.avif': 'image/avif'
+};
+
+// Throws URIError for malformed percent-encoding or a NUL byte (fs rejects those);
+// null when the path leaves the site root
+function resolvePath(root, urlPath) {
+  const decoded = decodeURIComponent(urlPath.split('?')[0]);
+  if (decoded.includes('\0')) throw new URIError('NUL byte in path');
+  const file = path.normalize(path.join(root, decoded));
+  const relative = path.relative(root, file);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) return null; // also rejects sibling folders
+  return file;
+}
+
+function handleRequest(root, req, res) {
+  let file;
+  try {
+    file = resolvePath(root, req.url);
+  } catch (e) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  if (!file) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.stat(file, (statErr, stats) => {
+    if (!statErr && stats.isDirectory()) file = path.join(file, 'index.html');
+
+    fs.readFile(file, (err, data) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+      });
+      res.end(data);
+    });
+  });
+}
+
+function createServer(root = ROOT) {
+  return http.createServer((req, res) => handleRequest(root, req, res));
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`SnapBoost served at http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = { createServer };